@@ -1,10 +1,16 @@
 import { storage } from '@forge/api';
+import { getSettings } from './settingsStore';
+import { entryKey, pruneLog, scanLog, toTime } from './timeKeyedLog';
 
-const LOG_STORAGE_KEY = 'actionLog';
-const MAX_LOG_ENTRIES = 50; // Keep the last 50 log entries
+const LOG_KEY_PREFIX = 'action_log:';
+const LEGACY_LOG_STORAGE_KEY = 'actionLog'; // Single array used by earlier versions
+// Where a retention run that ran out of time stopped: `{cursor, kept}`
+const PRUNE_STATE_KEY = 'actionLogPruneState';
+const MAX_QUERY_PAGES = 10; // Bounds how far one filtered request scans before returning a cursor
 
 /**
  * Logs an action result to Forge Storage.
+ * Every entry is written under its own key, so concurrent webhooks never overwrite each other's entries.
  * @param {object} details - Details about the action.
  * @param {string} details.actionType - e.g., 'create', 'update', 'delete'.
  * @param {boolean} details.success - Whether the action was successful.
@@ -12,39 +18,98 @@ const MAX_LOG_ENTRIES = 50; // Keep the last 50 log entries
  * @param {string} [details.worklogId] - The Jira worklog ID (if applicable).
  * @param {string} [details.message] - Optional additional details or error message.
  * @param {string} [details.accountId] - The Atlassian account ID involved.
+ * @param {string} [details.requestId] - The webhook request ID returned to the caller.
  */
 export async function logAction(details) {
+    const now = Date.now();
     const logEntry = {
-        timestamp: new Date().toISOString(),
+        timestamp: new Date(now).toISOString(),
         actionType: details.actionType,
         success: details.success,
         issueKey: details.issueKey,
         worklogId: details.worklogId || 'N/A',
         accountId: details.accountId || 'Unknown',
-        message: details.message || (details.success ? 'Success' : 'Failure')
+        message: details.message || (details.success ? 'Success' : 'Failure'),
+        requestId: details.requestId || null
     };
 
     try {
         console.log(`[ActionLogger] Logging action: ${logEntry.actionType} for ${logEntry.issueKey}, Success: ${logEntry.success}`);
-        let currentLogs = await storage.get(LOG_STORAGE_KEY);
-        if (!Array.isArray(currentLogs)) {
-            console.warn('[ActionLogger] Initializing action log in storage.');
-            currentLogs = [];
-        }
+        await storage.set(entryKey(LOG_KEY_PREFIX, now), logEntry);
+    } catch (error) {
+        // Log the error but don't let logging failure break the main handler flow
+        console.error('[ActionLogger] Failed to write action log to storage:', error);
+    }
+}
 
-        // Add new entry to the beginning
-        currentLogs.unshift(logEntry);
+/**
+ * Moves entries from the old single-array log (`actionLog`) to per-entry keys, then deletes the array.
+ * Runs once from the app upgrade lifecycle trigger (`action-log-migration`); it does nothing once the array is gone.
+ */
+export async function migrateLegacyActionLog() {
+    const legacyLogs = await storage.get(LEGACY_LOG_STORAGE_KEY);
+    if (legacyLogs === undefined || legacyLogs === null) return;
 
-        // Trim the log to MAX_LOG_ENTRIES
-        if (currentLogs.length > MAX_LOG_ENTRIES) {
-            currentLogs = currentLogs.slice(0, MAX_LOG_ENTRIES);
+    if (Array.isArray(legacyLogs)) {
+        for (const entry of legacyLogs) {
+            const time = Date.parse(entry?.timestamp);
+            await storage.set(entryKey(LOG_KEY_PREFIX, Number.isNaN(time) ? 0 : time), entry);
         }
+        console.log(`[ActionLogger] Migrated ${legacyLogs.length} legacy action-log entries.`);
+    }
+    await storage.delete(LEGACY_LOG_STORAGE_KEY);
+}
 
-        await storage.set(LOG_STORAGE_KEY, currentLogs);
-        console.log(`[ActionLogger] Log stored successfully. Total entries: ${currentLogs.length}`);
+function matchesFilters(entry, { actionType, success, issueKey, accountId, ownerAccountId }) {
+    if (ownerAccountId && entry.accountId !== ownerAccountId) return false;
+    if (actionType && actionType !== 'all' && entry.actionType !== actionType) return false;
+    if (success !== undefined && success !== null && success !== 'all' && String(entry.success) !== String(success)) return false;
+    if (issueKey && !String(entry.issueKey || '').toUpperCase().includes(String(issueKey).toUpperCase())) return false;
+    if (accountId && !String(entry.accountId || '').toUpperCase().includes(String(accountId).toUpperCase())) return false;
+    return true;
+}
 
+/**
+ * Queries the action log, newest first. One call scans a bounded number of pages (see scanLog).
+ * @param {object} [filters]
+ * @param {string} [filters.actionType] - e.g. 'create'; 'all' or empty for any.
+ * @param {boolean|string} [filters.success] - true/'true' or false/'false'; 'all' or empty for any.
+ * @param {string} [filters.issueKey] - Case-insensitive substring of the issue key.
+ * @param {string} [filters.accountId] - Case-insensitive substring of the account ID.
+ * @param {string} [filters.ownerAccountId] - Exact account ID; only that user's entries are returned.
+ * @param {string|number} [filters.from] - Earliest timestamp (ISO string or epoch ms), inclusive.
+ * @param {string|number} [filters.to] - Latest timestamp (ISO string or epoch ms), inclusive.
+ * @param {string} [filters.cursor] - Cursor returned by a previous call.
+ * @param {number} [filters.limit=50] - Entries wanted (max 100). A page may return slightly more.
+ * @returns {Promise<{entries: Object[], nextCursor: string|null}>}
+ */
+export async function queryActionLog({ cursor, limit = 50, from, to, ...filters } = {}) {
+    const wanted = Math.min(Math.max(Number(limit) || 50, 1), 100);
+    return scanLog(LOG_KEY_PREFIX, { cursor, from, to, matches: entry => matchesFilters(entry, filters), wanted, maxPages: MAX_QUERY_PAGES });
+}
+
+/**
+ * Deletes action-log entries older than the retention period or beyond the maximum entry count.
+ * Runs from the daily `action-log-retention` scheduled trigger; an unfinished run resumes the next day (see pruneLog).
+ */
+export async function pruneActionLog() {
+    const { actionLogRetentionDays, actionLogMaxEntries: maxEntries } = await getSettings();
+    const cutoff = Date.now() - actionLogRetentionDays * 24 * 60 * 60 * 1000;
+    try {
+        const { deleted, counters, finished, resumed } = await pruneLog(LOG_KEY_PREFIX, {
+            stateKey: PRUNE_STATE_KEY,
+            counters: { kept: 0 },
+            // Entries come newest first, so the first `maxEntries` recent enough ones are kept
+            keep: (entry, counts) => {
+                if (counts.kept < maxEntries && toTime(entry?.timestamp, 0) >= cutoff) {
+                    counts.kept++;
+                    return true;
+                }
+                return false;
+            }
+        });
+        console.log(`[ActionLogger] Retention run finished: kept ${counters.kept}, deleted ${deleted}${finished ? '' : ' (time budget reached, continuing next run)'}${resumed ? ' (resumed from the previous run)' : ''}.`);
     } catch (error) {
-        // Log the error but don't let logging failure break the main handler flow
-        console.error('[ActionLogger] Failed to write action log to storage:', error);
+        console.error('[ActionLogger] Retention run failed:', error);
     }
-} 
\ No newline at end of file
+}
@@ -0,0 +1,142 @@
+/**
+ * Converts worklog comments from our time tracker into Atlassian Document Format (ADF),
+ * which the Jira REST API v3 requires for worklog comments.
+ *
+ * Supported Markdown: paragraphs, hard line breaks, bullet and numbered lists,
+ * **bold**, _italic_, `inline code`, fenced code blocks and [links](https://...).
+ * Anything else is kept as literal text.
+ */
+
+const FENCE_PATTERN = /^\s*```\s*([\w+#-]*)\s*$/;
+const BULLET_PATTERN = /^\s*[-*+]\s+(.*)$/;
+const ORDERED_PATTERN = /^\s*\d+[.)]\s+(.*)$/;
+const INLINE_PATTERN = /(`[^`\n]+`)|(\*\*[^*\n]+\*\*|__[^_\n]+__)|(\[[^\]\n]+\]\([^)\s]+\))|((?<![\w*])\*[^*\s][^*\n]*\*(?![\w*])|(?<![\w_])_[^_\s][^_\n]*_(?![\w_]))/;
+const SAFE_LINK_PATTERN = /^(https?:\/\/|mailto:)/i;
+
+function matchListItem(line) {
+    const bullet = line.match(BULLET_PATTERN);
+    if (bullet) return { ordered: false, text: bullet[1] };
+    const ordered = line.match(ORDERED_PATTERN);
+    if (ordered) return { ordered: true, text: ordered[1] };
+    return null;
+}
+
+function addMark(nodes, mark) {
+    // ADF does not allow the code mark to be combined with text formatting marks
+    return nodes.map(node => {
+        if (node.type !== 'text' || node.marks?.some(m => m.type === 'code')) return node;
+        return { ...node, marks: [...(node.marks || []), mark] };
+    });
+}
+
+/**
+ * Parses inline Markdown into ADF text nodes.
+ * @param {string} text - A single line of text.
+ * @returns {Object[]} ADF inline nodes.
+ */
+function parseInline(text) {
+    const nodes = [];
+    let rest = text;
+    while (rest) {
+        const match = rest.match(INLINE_PATTERN);
+        if (!match) {
+            nodes.push({ type: 'text', text: rest });
+            break;
+        }
+        if (match.index > 0) {
+            nodes.push({ type: 'text', text: rest.slice(0, match.index) });
+        }
+        const [token, code, strong, link, em] = match;
+        if (code) {
+            nodes.push({ type: 'text', text: code.slice(1, -1), marks: [{ type: 'code' }] });
+        } else if (strong) {
+            nodes.push(...addMark(parseInline(strong.slice(2, -2)), { type: 'strong' }));
+        } else if (link) {
+            const [, label, href] = link.match(/^\[([^\]]+)\]\(([^)\s]+)\)$/);
+            if (SAFE_LINK_PATTERN.test(href)) {
+                nodes.push(...addMark(parseInline(label), { type: 'link', attrs: { href } }));
+            } else {
+                nodes.push({ type: 'text', text: link });
+            }
+        } else if (em) {
+            nodes.push(...addMark(parseInline(em.slice(1, -1)), { type: 'em' }));
+        }
+        rest = rest.slice(match.index + token.length);
+    }
+    return nodes;
+}
+
+function paragraph(lines, markdown) {
+    const content = [];
+    lines.forEach((line, index) => {
+        if (index > 0) content.push({ type: 'hardBreak' });
+        if (line) content.push(...(markdown ? parseInline(line) : [{ type: 'text', text: line }]));
+    });
+    return { type: 'paragraph', content };
+}
+
+/**
+ * Converts a comment to an ADF document.
+ * @param {string|Object} comment - Plain text/Markdown, or an ADF document (passed through unchanged).
+ * @param {object} [options]
+ * @param {string} [options.format='markdown'] - 'markdown' or 'plain' (no inline or block parsing).
+ * @returns {Object} An ADF `doc` node.
+ */
+export function toAdf(comment, { format = 'markdown' } = {}) {
+    if (comment && typeof comment === 'object' && comment.type === 'doc') {
+        return comment;
+    }
+
+    const markdown = format !== 'plain';
+    const lines = String(comment ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const content = [];
+    let i = 0;
+
+    while (i < lines.length) {
+        const line = lines[i];
+
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+
+        const fence = markdown && line.match(FENCE_PATTERN);
+        if (fence) {
+            const codeLines = [];
+            i++;
+            while (i < lines.length && !FENCE_PATTERN.test(lines[i])) {
+                codeLines.push(lines[i]);
+                i++;
+            }
+            i++; // Skip the closing fence (or run past the end if it is missing)
+            content.push({
+                type: 'codeBlock',
+                ...(fence[1] && { attrs: { language: fence[1] } }),
+                content: codeLines.length ? [{ type: 'text', text: codeLines.join('\n') }] : []
+            });
+            continue;
+        }
+
+        const listItem = markdown && matchListItem(line);
+        if (listItem) {
+            const items = [];
+            while (i < lines.length) {
+                const item = matchListItem(lines[i]);
+                if (!item || item.ordered !== listItem.ordered) break;
+                items.push({ type: 'listItem', content: [paragraph([item.text], true)] });
+                i++;
+            }
+            content.push({ type: listItem.ordered ? 'orderedList' : 'bulletList', content: items });
+            continue;
+        }
+
+        const paragraphLines = [];
+        while (i < lines.length && lines[i].trim() && !(markdown && (FENCE_PATTERN.test(lines[i]) || matchListItem(lines[i])))) {
+            paragraphLines.push(lines[i]);
+            i++;
+        }
+        content.push(paragraph(paragraphLines, markdown));
+    }
+
+    return { type: 'doc', version: 1, content };
+}
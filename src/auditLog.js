@@ -0,0 +1,146 @@
+import { storage } from '@forge/api';
+import crypto from 'crypto';
+import { getSetting } from './settingsStore';
+import { entryKey, pruneLog, scanLog, toTime } from './timeKeyedLog';
+
+const AUDIT_KEY_PREFIX = 'audit_log:';
+const MAX_QUERY_PAGES = 10; // Bounds how far one filtered request scans before returning a cursor
+const EXPORT_MAX_ENTRIES = 5000;
+const EXPORT_TIME_BUDGET_MS = 20 * 1000;
+// Where a retention run that ran out of time stopped: `{cursor}`
+const PRUNE_STATE_KEY = 'auditLogPruneState';
+
+// Fields whose values are never written to the audit log, matched by whole name (case-insensitive).
+// Names such as `secretId` or `signatureToleranceSeconds` are recorded as they are.
+const SENSITIVE_FIELD_NAMES = new Set(['value', 'token', 'accesstoken', 'refreshtoken', 'password', 'signature', 'secret']);
+const REDACTED = '[redacted]';
+
+/**
+ * Copies a value with every sensitive field replaced by a placeholder.
+ * @param {*} value - A before/after value or details object.
+ * @returns {*} The redacted copy.
+ */
+function redact(value) {
+    if (Array.isArray(value)) {
+        return value.map(redact);
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, fieldValue]) => [
+            key,
+            SENSITIVE_FIELD_NAMES.has(key.toLowerCase()) && fieldValue !== null && fieldValue !== undefined ? REDACTED : redact(fieldValue)
+        ]));
+    }
+    return value;
+}
+
+/**
+ * Records an administrative action in the audit log.
+ * The audit log is separate from the worklog action log. Sensitive fields in `before`, `after`
+ * and `details` are redacted before anything is stored.
+ * Failures are logged and swallowed so auditing never breaks the action itself.
+ * @param {object} event
+ * @param {string} event.action - What was done, e.g. 'secret.rotate', 'user.disconnect'.
+ * @param {string} event.actorAccountId - Who did it.
+ * @param {string} [event.actorRole] - The actor's role at the time (see ROLES in authorization.js).
+ * @param {string} [event.target] - What it was done to, e.g. a secret label, account ID or setting name.
+ * @param {*} [event.before] - The previous value, for configuration changes.
+ * @param {*} [event.after] - The new value, for configuration changes.
+ * @param {object} [event.details] - Anything else worth keeping.
+ */
+export async function recordAuditEvent({ action, actorAccountId, actorRole, target, before, after, details }) {
+    const now = Date.now();
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: new Date(now).toISOString(),
+        action,
+        actorAccountId: actorAccountId || 'Unknown',
+        actorRole: actorRole || null,
+        target: target ?? null,
+        before: before === undefined ? null : redact(before),
+        after: after === undefined ? null : redact(after),
+        details: details ? redact(details) : null
+    };
+
+    try {
+        console.log(`[AuditLog] ${entry.actorAccountId} ${action}${entry.target ? ` (${entry.target})` : ''}`);
+        await storage.set(entryKey(AUDIT_KEY_PREFIX, now), entry);
+    } catch (error) {
+        console.error('[AuditLog] Failed to write audit entry:', error);
+    }
+}
+
+function matchesFilters(entry, { action, actorAccountId, target }) {
+    if (action && action !== 'all' && entry.action !== action && !String(entry.action).startsWith(`${action}.`)) return false;
+    if (actorAccountId && !String(entry.actorAccountId || '').toUpperCase().includes(String(actorAccountId).toUpperCase())) return false;
+    if (target && !String(entry.target || '').toUpperCase().includes(String(target).toUpperCase())) return false;
+    return true;
+}
+
+/**
+ * Queries the audit log, newest first.
+ * @param {object} [filters]
+ * @param {string} [filters.action] - An action such as 'secret.rotate', or a prefix such as 'secret'; 'all' or empty for any.
+ * @param {string} [filters.actorAccountId] - Case-insensitive substring of the actor's account ID.
+ * @param {string} [filters.target] - Case-insensitive substring of the target.
+ * @param {string|number} [filters.from] - Earliest timestamp (ISO string or epoch ms), inclusive.
+ * @param {string|number} [filters.to] - Latest timestamp (ISO string or epoch ms), inclusive.
+ * @param {string} [filters.cursor] - Cursor returned by a previous call.
+ * @param {number} [filters.limit=50] - Entries wanted (max 100). A page may return slightly more.
+ * @returns {Promise<{entries: Object[], nextCursor: string|null}>}
+ */
+export async function queryAuditLog({ cursor, limit = 50, from, to, ...filters } = {}) {
+    const wanted = Math.min(Math.max(Number(limit) || 50, 1), 100);
+    return scanLog(AUDIT_KEY_PREFIX, { cursor, from, to, matches: entry => matchesFilters(entry, filters), wanted, maxPages: MAX_QUERY_PAGES });
+}
+
+function csvCell(value) {
+    if (value === null || value === undefined) return '';
+    let text = typeof value === 'string' ? value : JSON.stringify(value);
+    // Keep spreadsheets from evaluating cells as formulas
+    if (/^[=+\-@]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports the audit entries matching the filters as CSV, newest first.
+ * Stops at 5000 entries or when time runs out; `truncated` is then set and the export should be narrowed,
+ * e.g. with a date range.
+ * @param {object} [filters] - The same filters as queryAuditLog, without cursor and limit.
+ * @returns {Promise<{csv: string, count: number, truncated: boolean}>}
+ */
+export async function exportAuditLog({ from, to, ...filters } = {}) {
+    // No cursor is passed on: an export always starts at the newest entry, whatever page the viewer is on
+    const { entries, nextCursor } = await scanLog(AUDIT_KEY_PREFIX, {
+        from,
+        to,
+        matches: entry => matchesFilters(entry, filters),
+        wanted: EXPORT_MAX_ENTRIES,
+        maxPages: Infinity,
+        deadline: Date.now() + EXPORT_TIME_BUDGET_MS
+    });
+    const rows = entries.slice(0, EXPORT_MAX_ENTRIES);
+    const columns = ['timestamp', 'action', 'actorAccountId', 'actorRole', 'target', 'before', 'after', 'details'];
+    const lines = [columns.join(','), ...rows.map(entry => columns.map(column => csvCell(entry[column])).join(','))];
+    return {
+        csv: lines.join('\r\n'),
+        count: rows.length,
+        truncated: Boolean(nextCursor) || entries.length > EXPORT_MAX_ENTRIES
+    };
+}
+
+/**
+ * Deletes audit entries older than the retention period.
+ * Runs from the daily `audit-log-retention` scheduled trigger; an unfinished run resumes the next day (see pruneLog).
+ */
+export async function pruneAuditLog() {
+    const cutoff = Date.now() - (await getSetting('auditLogRetentionDays')) * 24 * 60 * 60 * 1000;
+    try {
+        const { deleted, finished, resumed } = await pruneLog(AUDIT_KEY_PREFIX, {
+            stateKey: PRUNE_STATE_KEY,
+            keep: entry => toTime(entry?.timestamp, 0) >= cutoff
+        });
+        console.log(`[AuditLog] Retention run finished: deleted ${deleted}${finished ? '' : ' (time budget reached, continuing next run)'}${resumed ? ' (resumed from the previous run)' : ''}.`);
+    } catch (error) {
+        console.error('[AuditLog] Retention run failed:', error);
+    }
+}
@@ -0,0 +1,113 @@
+import { asApp, asUser, route } from '@forge/api';
+import { listIntegrationManagerGrants } from './roleGrantStore';
+
+/**
+ * Roles a resolver caller can have, from least to most privileged.
+ * - user: any signed-in Jira user; sees and changes only their own connection and log entries.
+ * - integration-manager: manages the Zapier side (secrets, webhook auth, failed operations, mappings).
+ *   Granted by admins to Jira groups or single accounts (see roleGrantStore.js).
+ * - admin: Jira administrators; everything, including other users' connections.
+ */
+export const ROLES = {
+    USER: 'user',
+    INTEGRATION_MANAGER: 'integration-manager',
+    ADMIN: 'admin'
+};
+
+const ROLE_RANK = {
+    [ROLES.USER]: 0,
+    [ROLES.INTEGRATION_MANAGER]: 1,
+    [ROLES.ADMIN]: 2
+};
+
+/**
+ * Whether a role includes the privileges of another.
+ * @param {string} role - The caller's role.
+ * @param {string} requiredRole - The least privileged role that is allowed.
+ * @returns {boolean}
+ */
+export function hasRole(role, requiredRole) {
+    return (ROLE_RANK[role] ?? -1) >= ROLE_RANK[requiredRole];
+}
+
+async function isJiraAdmin() {
+    const res = await asUser().requestJira(route`/rest/api/3/mypermissions?permissions=ADMINISTER`);
+    if (!res.ok) {
+        throw new Error(`Permission check failed with status ${res.status}`);
+    }
+    const data = await res.json();
+    return Boolean(data?.permissions?.ADMINISTER?.havePermission);
+}
+
+/**
+ * Whether an account holds an integration manager grant, directly or through one of its Jira groups.
+ * Group membership is only looked up when group grants exist.
+ */
+async function isIntegrationManager(accountId) {
+    const grants = await listIntegrationManagerGrants();
+    if (grants.some(grant => grant.type === 'account' && grant.principalId === accountId)) {
+        return true;
+    }
+    const groupIds = grants.filter(grant => grant.type === 'group').map(grant => grant.principalId);
+    if (groupIds.length === 0) {
+        return false;
+    }
+    const res = await asApp().requestJira(route`/rest/api/3/user/groups?accountId=${accountId}`);
+    if (!res.ok) {
+        throw new Error(`Group lookup failed with status ${res.status}`);
+    }
+    const groups = await res.json();
+    return (groups || []).some(group => groupIds.includes(group.groupId));
+}
+
+/**
+ * Decides the role of the user calling a resolver: admin for Jira administrators,
+ * integration manager for granted groups and accounts, otherwise user.
+ * If a check fails the caller is treated as if it had not matched.
+ * @param {Object} context - The resolver context.
+ * @returns {Promise<string>} One of ROLES.
+ */
+export async function getCallerRole(context) {
+    try {
+        if (await isJiraAdmin()) {
+            return ROLES.ADMIN;
+        }
+    } catch (error) {
+        console.error(`[Authorization] Could not check permissions for ${context?.accountId}:`, error);
+    }
+    try {
+        if (context?.accountId && await isIntegrationManager(context.accountId)) {
+            return ROLES.INTEGRATION_MANAGER;
+        }
+    } catch (error) {
+        console.error(`[Authorization] Could not check integration manager grants for ${context.accountId}:`, error);
+    }
+    return ROLES.USER;
+}
+
+/**
+ * Wraps a resolver so it only runs for callers with at least the given role.
+ * The handler receives the request with the caller's `role` added.
+ * @param {string} functionName - Resolver name used in log lines and the error message.
+ * @param {string} requiredRole - The least privileged role that may call the resolver.
+ * @param {Function} handler - The resolver function.
+ * @returns {Function} The guarded resolver function.
+ * @throws {Error} - From the returned function, if there is no user context or the caller's role is too low.
+ */
+export function authorize(functionName, requiredRole, handler) {
+    return async (req) => {
+        const accountId = req?.context?.accountId;
+        if (!accountId) {
+            console.warn(`[${functionName}] Refused: no user context.`);
+            throw new Error('User context not found.');
+        }
+        const role = await getCallerRole(req.context);
+        if (!hasRole(role, requiredRole)) {
+            console.warn(`[${functionName}] Refused: user ${accountId} has role '${role}', '${requiredRole}' required.`);
+            throw new Error(requiredRole === ROLES.ADMIN
+                ? 'Only Jira administrators can do this.'
+                : 'Only administrators and integration managers can do this.');
+        }
+        return handler({ ...req, role });
+    };
+}
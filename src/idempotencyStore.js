@@ -0,0 +1,156 @@
+import { kvs } from '@forge/kvs';
+import crypto from 'crypto';
+import { normalizeSource } from './worklogMappingStore';
+import { getSetting } from './settingsStore';
+
+const IDEMPOTENCY_KEY_PREFIX = 'idempotency:';
+const RECENT_CREATES_KEY_PREFIX = 'recent_creates:';
+
+/**
+ * How long processed idempotency keys are remembered (the idempotencyWindowMinutes setting).
+ */
+async function getIdempotencyWindowMs() {
+    return (await getSetting('idempotencyWindowMinutes')) * 60 * 1000;
+}
+
+/**
+ * How close together two identical creates must arrive to count as near-duplicates (the duplicateWindowMinutes setting).
+ */
+async function getDuplicateWindowMs() {
+    return (await getSetting('duplicateWindowMinutes')) * 60 * 1000;
+}
+
+/**
+ * What to do with near-duplicate creates (the duplicateCreateMode setting).
+ * @returns {Promise<'off'|'flag'|'reject'>}
+ */
+export async function getDuplicateMode() {
+    return getSetting('duplicateCreateMode');
+}
+
+/**
+ * Derives the idempotency scope for a create request.
+ * An explicit key (the `Idempotency-Key` header) wins; otherwise the payload's externalEntryId (per source) is used.
+ * @param {string} [explicitKey] - The caller-supplied idempotency key.
+ * @param {Object} payload - The parsed webhook payload.
+ * @returns {string|null} A storage-safe key, or null if the request carries neither.
+ */
+export function getIdempotencyKey(explicitKey, payload) {
+    let scope = null;
+    if (explicitKey && String(explicitKey).trim()) {
+        scope = `header:${String(explicitKey).trim()}`;
+    } else if (payload?.externalEntryId) {
+        scope = `entry:${normalizeSource(payload.source)}:${payload.externalEntryId}`;
+    }
+    if (!scope) return null;
+    return `${IDEMPOTENCY_KEY_PREFIX}${crypto.createHash('sha256').update(scope).digest('hex')}`;
+}
+
+// Records expire with their window, so neither kind of key piles up in storage
+function ttlFor(windowMs) {
+    return { value: Math.ceil(windowMs / 1000), unit: 'SECONDS' };
+}
+
+/**
+ * Writes a record only if the key is free.
+ * @returns {Promise<Object|undefined>} The record that already holds the key, or undefined if the write succeeded.
+ * @throws {Error} - If the write failed for another reason than the key being taken.
+ */
+async function setIfAbsent(key, value, windowMs) {
+    try {
+        await kvs.set(key, value, { keyPolicy: 'FAIL_IF_EXISTS', ttl: ttlFor(windowMs) });
+        return undefined;
+    } catch (error) {
+        const existing = await kvs.get(key);
+        if (existing === undefined) {
+            throw error;
+        }
+        return existing;
+    }
+}
+
+/**
+ * Claims an idempotency key before the Jira call is made.
+ * The claim is a conditional write (`FAIL_IF_EXISTS`), so of two deliveries arriving at once only one gets it.
+ * @param {string} key - Key from getIdempotencyKey.
+ * @param {string} requestId - The current request ID.
+ * @returns {Promise<{status: 'claimed'|'completed'|'in-progress', record?: Object}>}
+ */
+export async function claimIdempotencyKey(key, requestId) {
+    const now = Date.now();
+    const windowMs = await getIdempotencyWindowMs();
+    const claim = { status: 'in-progress', requestId, createdAt: now, expiresAt: now + windowMs };
+    let existing = await setIfAbsent(key, claim, windowMs);
+    if (existing && !(existing.expiresAt > now)) {
+        // Records written before keys had a TTL never go away on their own
+        await kvs.delete(key);
+        existing = await setIfAbsent(key, claim, windowMs);
+    }
+    if (existing) {
+        return { status: existing.status, record: existing };
+    }
+    return { status: 'claimed' };
+}
+
+/**
+ * Stores the successful result for a claimed key so retries get the same answer.
+ * @param {string} key - Key from getIdempotencyKey.
+ * @param {string} requestId - The request that produced the result.
+ * @param {string} outputKey - The webhook output key that was returned.
+ * @param {Object} details - The response details that were returned.
+ */
+export async function completeIdempotencyKey(key, requestId, outputKey, details) {
+    const now = Date.now();
+    const windowMs = await getIdempotencyWindowMs();
+    await kvs.set(key, {
+        status: 'completed',
+        requestId,
+        outputKey,
+        details,
+        createdAt: now,
+        expiresAt: now + windowMs
+    }, { ttl: ttlFor(windowMs) });
+}
+
+/**
+ * Releases a claimed key after a failure so the caller's retry is processed normally.
+ */
+export async function releaseIdempotencyKey(key) {
+    await kvs.delete(key);
+}
+
+function recentCreatesKey(accountId, issueKey) {
+    return `${RECENT_CREATES_KEY_PREFIX}${accountId}:${issueKey}`;
+}
+
+/**
+ * Looks for a worklog created moments ago for the same user, issue, start time and duration.
+ * @returns {Promise<Object|null>} The earlier create ({worklogId, requestId, createdAt}), or null.
+ */
+export async function findRecentDuplicate(accountId, issueKey, started, timeSpentSeconds) {
+    if ((await getDuplicateMode()) === 'off') return null;
+    const startedMs = Date.parse(started);
+    const cutoff = Date.now() - await getDuplicateWindowMs();
+    const recent = await kvs.get(recentCreatesKey(accountId, issueKey));
+    if (!Array.isArray(recent)) return null;
+    return recent.find(entry =>
+        entry.createdAt >= cutoff &&
+        entry.startedMs === startedMs &&
+        Number(entry.timeSpentSeconds) === Number(timeSpentSeconds)
+    ) || null;
+}
+
+/**
+ * Remembers a successful create for near-duplicate detection, dropping entries outside the window.
+ */
+export async function recordRecentCreate(accountId, issueKey, { started, timeSpentSeconds, worklogId, requestId }) {
+    if ((await getDuplicateMode()) === 'off') return;
+    const key = recentCreatesKey(accountId, issueKey);
+    const now = Date.now();
+    const windowMs = await getDuplicateWindowMs();
+    const cutoff = now - windowMs;
+    const recent = await kvs.get(key);
+    const kept = (Array.isArray(recent) ? recent : []).filter(entry => entry.createdAt >= cutoff);
+    kept.push({ startedMs: Date.parse(started), timeSpentSeconds, worklogId, requestId, createdAt: now });
+    await kvs.set(key, kept, { ttl: ttlFor(windowMs) });
+}
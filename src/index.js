@@ -1,12 +1,40 @@
 import Resolver from '@forge/resolver';
-import { storage, webTrigger, asUser, route } from '@forge/api';
-import crypto from 'crypto'; // For secure random generation
-import { refreshOAuthToken } from './oauth'; // Needed by internal getUserAuthStatus
+import { webTrigger, asApp, asUser, route } from '@forge/api';
+import { authorize, hasRole, ROLES } from './authorization';
+import { exportAuditLog, queryAuditLog, recordAuditEvent } from './auditLog';
+import { disconnectUser } from './oauth';
+import { getExpiryBufferMs, refreshUserToken } from './tokenService';
+import { getMissingScopes, getScopeString } from './scopes';
+import { createOAuthState } from './state';
+import { deleteStoredToken, getStoredToken, getTokenMetadata, listConnectedUsers, saveStoredToken } from './tokenStore';
+import { getWorklogMapping, listWorklogMappings, normalizeSource } from './worklogMappingStore';
+import { getWebhookAuthModes, setWebhookAuthMode } from './secureUtils';
+import { countParkedOperations, discardDeadLetter, getDeadLetter, listDeadLetters, replayDeadLetter, replayParkedOperations, updateDeadLetter } from './retryQueue';
+import { getCurrentSharedSecret, listSharedSecrets, revokeSharedSecret, rotateSharedSecret } from './sharedSecretStore';
+import { describeSettings, updateSettings } from './settingsStore';
+import { addIntegrationManagerGrant, GRANT_TYPES, listIntegrationManagerGrants, removeIntegrationManagerGrant } from './roleGrantStore';
 
 const resolver = new Resolver();
 
+/**
+ * Defines a resolver behind the authorization check: it only runs for callers with at least `role`
+ * (see ROLES in authorization.js) and receives the caller's role as `role`.
+ */
+function defineResolver(name, role, handler) {
+  resolver.define(name, authorize(name, role, handler));
+}
+
+/**
+ * Records an administrative action by the resolver's caller in the audit log.
+ * @param {Object} req - The resolver request (`context` and `role`).
+ * @param {Object} event - See recordAuditEvent in auditLog.js.
+ */
+function audit({ context, role }, event) {
+  return recordAuditEvent({ ...event, actorAccountId: context?.accountId, actorRole: role });
+}
+
 // 🔍 Context for global page (admin/user + secret + URLs)
-resolver.define('getPageContext', async ({ context }) => {
+defineResolver('getPageContext', ROLES.USER, async ({ context, role }) => {
   console.log('🚨 Context received:', JSON.stringify(context, null, 2));
 
   let accountId = context?.user?.accountId || null;
@@ -24,6 +52,7 @@ resolver.define('getPageContext', async ({ context }) => {
   if (!accountId) {
     return {
       accountId: null,
+      role,
       isAdmin: false,
       secret: null,
       zapierWebhookUrl: null,
@@ -31,14 +60,13 @@ resolver.define('getPageContext', async ({ context }) => {
     };
   }
 
-  const res = await asUser().requestJira(route`/rest/api/3/mypermissions?permissions=ADMINISTER`);
-  const data = await res.json();
-  const isAdmin = data?.permissions?.ADMINISTER?.havePermission || false;
-  const secret = isAdmin ? await storage.get('zapier-secret') : null;
+  const isAdmin = role === ROLES.ADMIN;
+  const canManageIntegration = hasRole(role, ROLES.INTEGRATION_MANAGER);
+  const secret = canManageIntegration ? await getCurrentSharedSecret() : null;
 
-  // Fetch Zapier Webhook URL if admin
+  // Fetch Zapier Webhook URL for integration managers
   let zapierWebhookUrl = null;
-  if (isAdmin) {
+  if (canManageIntegration) {
     try {
       zapierWebhookUrl = await webTrigger.getUrl('zapier-webhook-trigger');
       console.log(`[getPageContext] Fetched Zapier webhook URL: ${zapierWebhookUrl}`);
@@ -53,6 +81,7 @@ resolver.define('getPageContext', async ({ context }) => {
 
   return {
     accountId,
+    role,
     isAdmin,
     secret,
     zapierWebhookUrl,
@@ -63,15 +92,8 @@ resolver.define('getPageContext', async ({ context }) => {
   };
 });
 
-// 🔐 Generate a new Zapier secret
-resolver.define('setNewSecret', async () => {
-  const newSecret = generateRandomSecret();
-  await storage.set('zapier-secret', newSecret);
-  return newSecret;
-});
-
 // 🔗 Provide OAuth login URL (secure via env vars)
-resolver.define('getOAuthLoginUrl', async ({ context }) => {
+defineResolver('getOAuthLoginUrl', ROLES.USER, async ({ context }) => {
   const functionName = 'getOAuthLoginUrl';
   console.log(`[${functionName}] Generating OAuth URL...`);
   try {
@@ -87,8 +109,10 @@ resolver.define('getOAuthLoginUrl', async ({ context }) => {
       throw new Error('Failed to generate redirect URL.');
     }
 
-    const authUrl = constructOAuthUrl(CLIENT_ID, redirectUri); // Call helper without state
-    console.log(`[${functionName}] Constructed OAuth URL.`);
+    // One-time state bound to this user (and a PKCE challenge if enabled), checked by the callback
+    const { state, codeChallenge } = await createOAuthState(context?.accountId);
+    const authUrl = constructOAuthUrl(CLIENT_ID, redirectUri, state, codeChallenge);
+    console.log(`[${functionName}] Constructed OAuth URL${codeChallenge ? ' with PKCE' : ''}.`);
     return authUrl;
   } catch (error) {
     console.error(`[${functionName}] Error: ${error.message}`, error);
@@ -98,20 +122,24 @@ resolver.define('getOAuthLoginUrl', async ({ context }) => {
 
 /**
  * Construct the OAuth URL with all required parameters
+ * @param {string} clientId - The OAuth client ID.
+ * @param {string} redirectUri - The callback web trigger URL.
+ * @param {string} state - The one-time state from createOAuthState.
+ * @param {string|null} codeChallenge - The PKCE S256 challenge, or null when PKCE is disabled.
  */
-function constructOAuthUrl(clientId, redirectUri) {
+function constructOAuthUrl(clientId, redirectUri, state, codeChallenge) {
   const encodedRedirectUri = encodeURIComponent(redirectUri);
-  const scopes = 'read:me read:account read:jira-user write:jira-work offline_access';
-  const encodedScopes = encodeURIComponent(scopes);
+  const encodedScopes = encodeURIComponent(getScopeString());
 
-  // Construct URL without state
   return `https://auth.atlassian.com/authorize`
     + `?audience=api.atlassian.com`
     + `&client_id=${clientId}`
     + `&scope=${encodedScopes}`
     + `&redirect_uri=${encodedRedirectUri}`
+    + `&state=${encodeURIComponent(state)}`
     + `&response_type=code`
-    + `&prompt=consent`;
+    + `&prompt=consent`
+    + (codeChallenge ? `&code_challenge=${codeChallenge}&code_challenge_method=S256` : '');
 }
 
 /**
@@ -119,7 +147,7 @@ function constructOAuthUrl(clientId, redirectUri) {
  * @description Checks if the current user has valid OAuth tokens stored.
  * Called by the frontend to determine UI state.
  */
-resolver.define('getUserAuthStatus', async (req) => {
+defineResolver('getUserAuthStatus', ROLES.USER, async (req) => {
   console.log("[getUserAuthStatus] Checking auth status...");
   const { accountId } = req.context;
   if (!accountId) {
@@ -127,40 +155,42 @@ resolver.define('getUserAuthStatus', async (req) => {
     return { authenticated: false, error: 'User context not found' };
   }
 
-  const tokenStorageKey = `oauth_token:${accountId}`;
-  console.log(`[getUserAuthStatus] Checking storage for key: ${tokenStorageKey}`);
+  console.log(`[getUserAuthStatus] Checking stored token for user: ${accountId}`);
   try {
-    const tokenData = await storage.get(tokenStorageKey);
+    const tokenData = await getStoredToken(accountId);
 
     if (!tokenData || !tokenData.accessToken || !tokenData.expiresAt) {
       console.log("[getUserAuthStatus] No valid token data found in storage.");
       return { authenticated: false };
     }
 
-    // Check for expiration (with a 60-second buffer)
+    // Check for expiration (with the `tokenExpiryBufferSeconds` buffer)
     const now = Date.now();
-    const bufferSeconds = 60 * 1000;
-    if (tokenData.expiresAt < (now + bufferSeconds)) {
+    const bufferMs = await getExpiryBufferMs();
+    if (tokenData.expiresAt < (now + bufferMs)) {
       console.log("[getUserAuthStatus] Token is expired or nearing expiration. Attempting refresh...");
       if (!tokenData.refreshToken) {
         console.warn("[getUserAuthStatus] Token expired, but no refresh token available.");
-        await storage.delete(tokenStorageKey); // Clean up expired token without refresh
+        await deleteStoredToken(accountId); // Clean up expired token without refresh
         return { authenticated: false, error: 'Session expired' };
       }
       
       try {
-        const refreshedToken = await refreshOAuthToken(accountId, tokenData.refreshToken);
+        const refreshedToken = await refreshUserToken(accountId, tokenData.accessToken);
         console.log("[getUserAuthStatus] ✅ Token refreshed successfully.");
         // Return status based on the *newly* refreshed token
         return {
           authenticated: true,
           expiresAt: refreshedToken.expiresAt, // Use the new expiry
-          timestamp: refreshedToken.timestamp || refreshedToken.lastRefreshed || Date.now() // Use new timestamp if available, else now
+          timestamp: refreshedToken.timestamp || refreshedToken.lastRefreshed || Date.now(), // Use new timestamp if available, else now
+          ...getSiteDetails(refreshedToken)
         };
       } catch (refreshError) {
         console.error(`[getUserAuthStatus] ❌ Token refresh failed: ${refreshError.message}`);
-        // If refresh fails (e.g., invalid grant), delete the invalid token and return unauthenticated
-        await storage.delete(tokenStorageKey); 
+        // A rejected refresh token is kept (flagged needsReconnect) so webhooks are held for replay instead of failing
+        if (refreshError.requiresReAuthentication) {
+          return { authenticated: false, needsReconnect: true, error: 'Session expired, re-authentication required' };
+        }
         return { authenticated: false, error: 'Session expired, refresh failed' };
       }
     } else {
@@ -169,7 +199,10 @@ resolver.define('getUserAuthStatus', async (req) => {
       return {
         authenticated: true,
         expiresAt: tokenData.expiresAt,
-        timestamp: tokenData.timestamp // Use the original timestamp from storage
+        timestamp: tokenData.timestamp, // Use the original timestamp from storage
+        needsReconnect: Boolean(tokenData.needsReconnect), // Set when Atlassian rejected the refresh token
+        missingScopes: getMissingScopes(tokenData), // Non-empty when the user must reconnect to grant new scopes
+        ...getSiteDetails(tokenData)
       };
     }
 
@@ -180,7 +213,7 @@ resolver.define('getUserAuthStatus', async (req) => {
 });
 
 // 🔄 Get a valid access token for API calls
-resolver.define('getAccessToken', async ({ context }) => {
+defineResolver('getAccessToken', ROLES.USER, async ({ context }) => {
   const accountId = context?.user?.accountId;
   
   if (!accountId) {
@@ -206,18 +239,18 @@ async function checkUserAuthentication(accountId) {
     return { authenticated: false, error: 'No account ID provided' };
   }
 
-  const tokenStorageKey = `oauth_token:${accountId}`;
-  console.log(`[checkUserAuthentication] Attempting to get token from storage key: ${tokenStorageKey}`);
+  console.log(`[checkUserAuthentication] Reading token metadata for accountId: ${accountId}`);
   let tokenData;
   try {
-    tokenData = await storage.get(tokenStorageKey);
-    console.log(`[checkUserAuthentication] Raw data retrieved from storage for key ${tokenStorageKey}:`, JSON.stringify(tokenData, null, 2));
+    // Only the metadata is needed here; the tokens stay in secret storage
+    tokenData = await getTokenMetadata(accountId);
+    console.log(`[checkUserAuthentication] Token metadata for ${accountId}:`, JSON.stringify(tokenData, null, 2));
   } catch (error) {
-    console.error(`[checkUserAuthentication] ❌ Error during storage.get for key ${tokenStorageKey}:`, error);
+    console.error(`[checkUserAuthentication] ❌ Error reading token metadata for ${accountId}:`, error);
     return { authenticated: false, error: `Failed to read storage: ${error.message}` };
   }
     
-  if (!tokenData || !tokenData.accessToken) {
+  if (!tokenData || !tokenData.expiresAt) {
     console.log(`[checkUserAuthentication] No valid tokenData or accessToken found.`);
     return { authenticated: false, error: 'No tokens found' };
   }
@@ -231,7 +264,7 @@ async function checkUserAuthentication(accountId) {
   
   if (isExpired) {
       console.log(`[checkUserAuthentication] Token is expired.`);
-      if (!tokenData.refreshToken) {
+      if (!tokenData.hasRefreshToken) {
         console.log(`[checkUserAuthentication] No refresh token available.`);
         return { authenticated: false, error: 'Token expired and no refresh token available' };
       } else {
@@ -260,7 +293,7 @@ async function getValidAccessToken(accountId) {
   }
 
   try {
-    const tokenData = await storage.get(`oauth_token:${accountId}`);
+    const tokenData = await getStoredToken(accountId);
     
     if (!tokenData || !tokenData.accessToken) {
       return { valid: false, error: 'No tokens found' };
@@ -282,7 +315,7 @@ async function getValidAccessToken(accountId) {
     // If expired but we have refresh token, try to refresh
     if (tokenData.refreshToken) {
       try {
-        const refreshedData = await refreshOAuthToken(accountId, tokenData.refreshToken);
+        const refreshedData = await refreshUserToken(accountId, tokenData.accessToken);
         
         return { 
           valid: true, 
@@ -303,54 +336,13 @@ async function getValidAccessToken(accountId) {
   }
 }
 
-function generateRandomSecret(length = 32) {
-  const chars = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
-  return Array.from({ length }, () => chars[Math.floor(Math.random() * chars.length)]).join('');
-}
-
-// 🧹 Cleanup old state parameters 
-// Called automatically when generating new login URLs
-async function cleanupOldStates(accountId) {
-  if (!accountId) return;
-  
-  try {
-    // Look for existing state for this user and clean it up
-    const oldState = await storage.get(`oauth_state:${accountId}`);
-    
-    if (oldState) {
-      // If state is older than 15 minutes, clean it up
-      const fifteenMinutesAgo = Date.now() - 15 * 60 * 1000; 
-      
-      if (oldState.createdAt < fifteenMinutesAgo) {
-        await storage.delete(`oauth_state:${accountId}`);
-        console.log(`🧹 Cleaned up expired state for user: ${accountId}`);
-      }
-    }
-  } catch (error) {
-    console.error('❌ Error cleaning up old states:', error);
-  }
-}
-
-// --- Helper: Generate Secure Random String ---
-/**
- * Generates a cryptographically secure random string.
- * @param {number} length - The desired length of the string.
- * @returns {string} A random URL-safe base64 string.
- */
-function generateSecureRandomString(length = 32) {
-  return crypto.randomBytes(Math.ceil(length * 3 / 4))
-    .toString('base64')
-    .slice(0, length)
-    .replace(/\+/g, '0')
-    .replace(/\//g, '_');
-}
-
 // --- Resolver Definition: Get Admin Page Context ---
 /**
  * Fetches all necessary data for the Admin/Global page UI.
- * Includes Admin status, OAuth status, Zapier secret, and webhook URLs.
+ * Includes the caller's role and OAuth status; Zapier secrets, webhook URLs and auth modes
+ * are only returned to integration managers and admins.
  */
-resolver.define('getAdminPageContext', async ({ context }) => {
+defineResolver('getAdminPageContext', ROLES.USER, async ({ context, role }) => {
   const functionName = 'getAdminPageContext';
   console.log(`[${functionName}] Fetching admin page context...`);
   const accountId = context?.accountId;
@@ -369,39 +361,47 @@ resolver.define('getAdminPageContext', async ({ context }) => {
   console.log(`[${functionName}] User accountId: ${accountId}`);
 
   try {
-    // --- Check Admin Permissions --- 
-    let isAdmin = false;
-    try {
-        console.log(`[${functionName}] Checking ADMINISTER permission...`);
-        const res = await asUser().requestJira(route`/rest/api/3/mypermissions?permissions=ADMINISTER`);
-        const data = await res.json();
-        isAdmin = data?.permissions?.ADMINISTER?.havePermission || false;
-        console.log(`[${functionName}] User isAdmin: ${isAdmin}`);
-    } catch (permError) {
-         console.error(`[${functionName}] Failed to check admin permissions:`, permError);
-         // Decide how to handle - fail, or assume not admin? Assume not admin.
-    }
-    // --- End Check Admin Permissions ---
+    const isAdmin = role === ROLES.ADMIN;
+    const canManageIntegration = hasRole(role, ROLES.INTEGRATION_MANAGER);
+    console.log(`[${functionName}] User role: ${role}`);
 
     // 1. Get OAuth Status
     const authStatus = await getUserAuthStatus(context); // Use the internal helper
+    // Worklogs kept until this user reconnects, for the reconnect banner
+    authStatus.parkedOperations = await countParkedOperations(accountId).catch(() => 0);
     console.log(`[${functionName}] Auth Status:`, authStatus);
 
-    // 2. Get Zapier Secret (Value) - Only fetch if admin for efficiency?
-    // Let's fetch regardless for now, UI can decide to show/hide
+    // Ordinary users only get their own OAuth status
+    if (!canManageIntegration) {
+      return {
+        role,
+        isAdmin,
+        authStatus,
+        zapierSecret: null,
+        sharedSecrets: [],
+        webhookUrls: null,
+        webhookAuthModes: null,
+        error: null
+      };
+    }
+
+    // 2. Get Zapier Secrets - the newest value for copying, plus all secrets (without values) for rotation
     let zapierSecret = null;
-    const secretKey = 'zapierSharedSecret';
+    let sharedSecrets = [];
     try {
-      zapierSecret = await storage.getSecret(secretKey);
-      console.log(`[${functionName}] Zapier secret ${zapierSecret ? 'retrieved' : 'not set'}.`);
+      zapierSecret = await getCurrentSharedSecret();
+      sharedSecrets = await listSharedSecrets();
+      console.log(`[${functionName}] Zapier secret ${zapierSecret ? 'retrieved' : 'not set'} (${sharedSecrets.length} secrets on record).`);
     } catch (e) {
-      console.error(`[${functionName}] Error retrieving secret from storage key '${secretKey}':`, e);
+      console.error(`[${functionName}] Error retrieving shared secrets:`, e);
       zapierSecret = '{Error retrieving secret}';
     }
 
     // 3. Get Webhook URLs
-    let webhookUrls = { create: null, update: null, delete: null };
+    let webhookUrls = { event: null, batch: null, create: null, update: null, delete: null };
     try {
+        webhookUrls.event = await webTrigger.getUrl('zapier-webhook-trigger');
+        webhookUrls.batch = await webTrigger.getUrl('worklog-batch-trigger');
         webhookUrls.create = await webTrigger.getUrl('worklog-create-trigger');
         webhookUrls.update = await webTrigger.getUrl('worklog-update-trigger');
         webhookUrls.delete = await webTrigger.getUrl('worklog-delete-trigger');
@@ -410,11 +410,22 @@ resolver.define('getAdminPageContext', async ({ context }) => {
         console.error(`[${functionName}] Failed to retrieve one or more webhook URLs:`, urlError);
     }
 
+    // 4. Get Webhook Authentication Modes (legacy header or signed)
+    let webhookAuthModes = null;
+    try {
+        webhookAuthModes = await getWebhookAuthModes();
+    } catch (modeError) {
+        console.error(`[${functionName}] Failed to retrieve webhook auth modes:`, modeError);
+    }
+
     return {
-      isAdmin, // Return admin status
+      role,
+      isAdmin,
       authStatus,
       zapierSecret,
+      sharedSecrets,
       webhookUrls,
+      webhookAuthModes,
       error: null
     };
 
@@ -433,18 +444,18 @@ resolver.define('getAdminPageContext', async ({ context }) => {
 
 // --- Resolver Definition: Regenerate Zapier Secret ---
 /**
- * Generates a new Zapier shared secret, saves it using storage.setSecret,
- * and returns the new secret.
+ * Generates a new Zapier shared secret (with an optional label) and returns it.
+ * Older secrets keep working until the rotation grace period (the secretRotationGraceHours setting) ends.
  */
-resolver.define('regenerateZapierSecret', async () => {
+defineResolver('regenerateZapierSecret', ROLES.INTEGRATION_MANAGER, async (req) => {
   const functionName = 'regenerateZapierSecret';
+  const { payload } = req;
   console.log(`[${functionName}] Attempting to regenerate secret...`);
   try {
-    const newSecret = generateSecureRandomString(32);
-    const storageKey = 'zapierSharedSecret';
-    await storage.setSecret(storageKey, newSecret);
-    console.log(`[${functionName}] Successfully stored new secret.`);
-    return { newSecret: newSecret };
+    const newSecret = await rotateSharedSecret(payload?.label);
+    console.log(`[${functionName}] Successfully stored new secret ${newSecret.id}.`);
+    await audit(req, { action: 'secret.rotate', target: newSecret.label, details: { secretId: newSecret.id } });
+    return { newSecret: newSecret.value, sharedSecrets: await listSharedSecrets() };
   } catch (error) {
       console.error(`[${functionName}] Failed to set new secret:`, error);
       throw new Error(`Failed to regenerate secret: ${error.message}`);
@@ -452,6 +463,416 @@ resolver.define('regenerateZapierSecret', async () => {
 });
 
 
+// --- Resolver Definition: Revoke Zapier Secret ---
+/**
+ * Revokes one shared secret immediately, e.g. when it has leaked or its grace period should end early. Integration managers and admins only.
+ */
+defineResolver('revokeZapierSecret', ROLES.INTEGRATION_MANAGER, async (req) => {
+  const functionName = 'revokeZapierSecret';
+  const { secretId } = req.payload || {};
+  console.log(`[${functionName}] Revoking secret ${secretId}...`);
+
+  try {
+    await revokeSharedSecret(secretId);
+    const revoked = (await listSharedSecrets()).find(secret => secret.id === secretId);
+    await audit(req, { action: 'secret.revoke', target: revoked?.label || secretId, details: { secretId } });
+    return { zapierSecret: await getCurrentSharedSecret(), sharedSecrets: await listSharedSecrets() };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to revoke secret:`, error);
+    throw new Error(`Failed to revoke secret: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definition: Set Webhook Authentication Mode ---
+/**
+ * Switches one webhook integration (event, batch, create, update, delete) between
+ * the legacy X-Zapier-Secret header and HMAC-signed requests. Integration managers and admins only.
+ */
+defineResolver('setWebhookAuthMode', ROLES.INTEGRATION_MANAGER, async (req) => {
+  const functionName = 'setWebhookAuthMode';
+  const { integration, mode } = req.payload || {};
+  console.log(`[${functionName}] Setting auth mode for '${integration}' to '${mode}'...`);
+
+  try {
+    const previousModes = await getWebhookAuthModes();
+    const webhookAuthModes = await setWebhookAuthMode(integration, mode);
+    await audit(req, {
+      action: 'webhook-auth.change',
+      target: integration,
+      before: previousModes[integration],
+      after: webhookAuthModes[integration]
+    });
+    console.log(`[${functionName}] Auth modes updated:`, webhookAuthModes);
+    return { webhookAuthModes };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to set auth mode:`, error);
+    throw new Error(`Failed to set webhook authentication mode: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definitions: Dead-Letter List ---
+/**
+ * Operations that kept failing after their automatic retries. Admins can inspect them,
+ * fix the payload, run them again or discard them.
+ */
+defineResolver('getDeadLetters', ROLES.INTEGRATION_MANAGER, async ({ payload }) => {
+  const functionName = 'getDeadLetters';
+  try {
+    return await listDeadLetters({ cursor: payload?.cursor, limit: payload?.limit });
+  } catch (error) {
+    console.error(`[${functionName}] Failed to list dead letters:`, error);
+    throw new Error(`Failed to load failed operations: ${error.message}`);
+  }
+});
+
+defineResolver('updateDeadLetter', ROLES.INTEGRATION_MANAGER, async (req) => {
+  const functionName = 'updateDeadLetter';
+  const { id, operationPayload } = req.payload || {};
+  console.log(`[${functionName}] Updating payload of dead-letter entry ${id}...`);
+  try {
+    const previous = await getDeadLetter(id);
+    const deadLetter = await updateDeadLetter(id, operationPayload);
+    await audit(req, { action: 'dead-letter.update', target: id, before: previous.payload, after: deadLetter.payload });
+    return { deadLetter };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to update dead letter:`, error);
+    throw new Error(`Failed to update operation: ${error.message}`);
+  }
+});
+
+defineResolver('replayDeadLetter', ROLES.INTEGRATION_MANAGER, async (req) => {
+  const functionName = 'replayDeadLetter';
+  const { id } = req.payload || {};
+  console.log(`[${functionName}] Replaying dead-letter entry ${id}...`);
+  try {
+    const result = await replayDeadLetter(id);
+    await audit(req, { action: 'dead-letter.replay', target: id, details: { success: result.success, outputKey: result.outputKey } });
+    return result;
+  } catch (error) {
+    console.error(`[${functionName}] Failed to replay dead letter:`, error);
+    throw new Error(`Failed to replay operation: ${error.message}`);
+  }
+});
+
+defineResolver('discardDeadLetter', ROLES.INTEGRATION_MANAGER, async (req) => {
+  const functionName = 'discardDeadLetter';
+  const { id } = req.payload || {};
+  console.log(`[${functionName}] Discarding dead-letter entry ${id}...`);
+  try {
+    const discarded = await getDeadLetter(id);
+    await discardDeadLetter(id);
+    await audit(req, { action: 'dead-letter.discard', target: id, before: discarded.payload });
+    return { discarded: true };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to discard dead letter:`, error);
+    throw new Error(`Failed to discard operation: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definitions: Connected Users ---
+/**
+ * Looks up display names for a page of account IDs. Missing names fall back to the account ID in the UI.
+ * @param {string[]} accountIds
+ * @returns {Promise<Object<string, string>>} Display name by account ID.
+ */
+async function getDisplayNames(accountIds) {
+  if (accountIds.length === 0) return {};
+  try {
+    const params = new URLSearchParams(accountIds.map(id => ['accountId', id]));
+    params.set('maxResults', String(accountIds.length));
+    const res = await asApp().requestJira(route`/rest/api/3/user/bulk?${params}`);
+    if (!res.ok) {
+      console.warn(`[getDisplayNames] User lookup failed: ${res.status}`);
+      return {};
+    }
+    const data = await res.json();
+    return Object.fromEntries((data?.values || []).map(user => [user.accountId, user.displayName]));
+  } catch (error) {
+    console.warn('[getDisplayNames] User lookup failed:', error);
+    return {};
+  }
+}
+
+/**
+ * Lists every user with a stored Jira connection and the health of their tokens,
+ * so admins can see who has to reconnect.
+ */
+defineResolver('getConnectedUsers', ROLES.ADMIN, async ({ payload }) => {
+  const functionName = 'getConnectedUsers';
+  try {
+    const { users, nextCursor } = await listConnectedUsers({ cursor: payload?.cursor, limit: payload?.limit });
+    const displayNames = await getDisplayNames(users.map(user => user.accountId));
+    return {
+      users: users.map(user => ({ ...user, displayName: displayNames[user.accountId] || null })),
+      nextCursor
+    };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to list connected users:`, error);
+    throw new Error(`Failed to load connected users: ${error.message}`);
+  }
+});
+
+/**
+ * Removes another user's Jira connection, e.g. when someone leaves the team.
+ */
+defineResolver('disconnectConnectedUser', ROLES.ADMIN, async (req) => {
+  const functionName = 'disconnectConnectedUser';
+  const { payload, context } = req;
+  const { accountId } = payload || {};
+  console.log(`[${functionName}] Admin ${context?.accountId} disconnecting user ${accountId}...`);
+  try {
+    const result = await disconnectUser(accountId, context.accountId);
+    await audit(req, { action: 'user.disconnect', target: accountId, details: result });
+    return result;
+  } catch (error) {
+    console.error(`[${functionName}] Failed to disconnect ${accountId}:`, error);
+    throw new Error(`Failed to disconnect user: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definitions: Integration Manager Grants ---
+/**
+ * Finds the Jira group or account a grant should point at, so grants store stable IDs
+ * (group names can change) and only existing groups and users can be granted.
+ * @param {'group'|'account'} type
+ * @param {string} value - Group name or account ID.
+ * @returns {Promise<{principalId: string, name: string}>}
+ * @throws {Error} - If no such group or account exists.
+ */
+async function resolveGrantPrincipal(type, value) {
+  if (!GRANT_TYPES.includes(type)) {
+    throw new Error(`Unknown grant type '${type}'. Use one of: ${GRANT_TYPES.join(', ')}.`);
+  }
+  const query = String(value || '').trim();
+  if (!query) {
+    throw new Error('Enter a group name or account ID.');
+  }
+  if (type === 'group') {
+    const res = await asApp().requestJira(route`/rest/api/3/group/bulk?groupName=${query}`);
+    const data = res.ok ? await res.json() : null;
+    const group = (data?.values || []).find(g => g.name.toLowerCase() === query.toLowerCase());
+    if (!group) {
+      throw new Error(`Jira group '${query}' not found.`);
+    }
+    return { principalId: group.groupId, name: group.name };
+  }
+  const res = await asApp().requestJira(route`/rest/api/3/user?accountId=${query}`);
+  if (!res.ok) {
+    throw new Error(`Jira user '${query}' not found.`);
+  }
+  const user = await res.json();
+  return { principalId: user.accountId, name: user.displayName || user.accountId };
+}
+
+/**
+ * Lists the Jira groups and accounts that hold the integration manager role.
+ */
+defineResolver('getManagerGrants', ROLES.ADMIN, async () => {
+  const functionName = 'getManagerGrants';
+  try {
+    return { grants: await listIntegrationManagerGrants() };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to list grants:`, error);
+    throw new Error(`Failed to load integration managers: ${error.message}`);
+  }
+});
+
+/**
+ * Grants the integration manager role to a Jira group (by name) or an account (by account ID).
+ */
+defineResolver('addManagerGrant', ROLES.ADMIN, async (req) => {
+  const functionName = 'addManagerGrant';
+  const { payload, context } = req;
+  const { type, value } = payload || {};
+  console.log(`[${functionName}] Admin ${context.accountId} granting integration manager to ${type} '${value}'...`);
+  try {
+    const principal = await resolveGrantPrincipal(type, value);
+    const grant = await addIntegrationManagerGrant({ type, ...principal }, context.accountId);
+    await audit(req, { action: 'role.grant', target: `${type}:${grant.name}`, details: { role: ROLES.INTEGRATION_MANAGER, principalId: grant.principalId } });
+    return { grant, grants: await listIntegrationManagerGrants() };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to add grant:`, error);
+    throw new Error(`Failed to grant integration manager: ${error.message}`);
+  }
+});
+
+defineResolver('removeManagerGrant', ROLES.ADMIN, async (req) => {
+  const functionName = 'removeManagerGrant';
+  const { payload, context } = req;
+  const { id } = payload || {};
+  console.log(`[${functionName}] Admin ${context.accountId} removing integration manager grant ${id}...`);
+  try {
+    const grant = await removeIntegrationManagerGrant(id);
+    await audit(req, { action: 'role.revoke', target: `${grant.type}:${grant.name}`, details: { role: ROLES.INTEGRATION_MANAGER, principalId: grant.principalId } });
+    return { grants: await listIntegrationManagerGrants() };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to remove grant:`, error);
+    throw new Error(`Failed to remove integration manager: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definitions: Settings ---
+/**
+ * Current settings with their defaults, schema and revision, for the admin settings page.
+ */
+defineResolver('getAppSettings', ROLES.ADMIN, async () => {
+  const functionName = 'getAppSettings';
+  try {
+    return await describeSettings();
+  } catch (error) {
+    console.error(`[${functionName}] Failed to read settings:`, error);
+    throw new Error(`Failed to load settings: ${error.message}`);
+  }
+});
+
+/**
+ * Saves changed settings. Payload: { values, revision }, where `revision` is the one the page loaded;
+ * a save based on an older revision is refused instead of overwriting someone else's changes.
+ */
+defineResolver('updateAppSettings', ROLES.ADMIN, async (req) => {
+  const functionName = 'updateAppSettings';
+  const { values, revision } = req.payload || {};
+  console.log(`[${functionName}] Admin ${req.context.accountId} saving settings: ${Object.keys(values || {}).join(', ')}`);
+  try {
+    const { before, after, settings } = await updateSettings(values, { expectedRevision: revision, updatedBy: req.context.accountId });
+    if (Object.keys(after).length > 0) {
+      await audit(req, { action: 'settings.update', target: Object.keys(after).join(', '), before, after, details: { revision: settings.revision } });
+    }
+    return { settings, changed: Object.keys(after) };
+  } catch (error) {
+    console.error(`[${functionName}] Failed to save settings:`, error);
+    throw new Error(`Failed to save settings: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definitions: Audit Log ---
+/**
+ * Administrative actions (secret changes, configuration changes, forced disconnects, role grants), newest first.
+ * Payload (all optional): action, actorAccountId, target, from, to, cursor, limit.
+ */
+defineResolver('getAuditLog', ROLES.ADMIN, async ({ payload }) => {
+  const functionName = 'getAuditLog';
+  try {
+    return await queryAuditLog(payload || {});
+  } catch (error) {
+    console.error(`[${functionName}] Failed to query audit log:`, error);
+    throw new Error(`Failed to load audit log: ${error.message}`);
+  }
+});
+
+/**
+ * The audit entries matching the same filters as getAuditLog, as CSV.
+ */
+defineResolver('exportAuditLog', ROLES.ADMIN, async (req) => {
+  const functionName = 'exportAuditLog';
+  try {
+    const result = await exportAuditLog(req.payload || {});
+    console.log(`[${functionName}] Exported ${result.count} audit entries${result.truncated ? ' (truncated)' : ''}.`);
+    await audit(req, { action: 'audit.export', details: { filters: req.payload || {}, count: result.count } });
+    return result;
+  } catch (error) {
+    console.error(`[${functionName}] Failed to export audit log:`, error);
+    throw new Error(`Failed to export audit log: ${error.message}`);
+  }
+});
+
+
+// --- Resolver Definition: Look Up Worklog Mappings ---
+/**
+ * Returns the external entry -> Jira worklog mappings recorded by the create webhook.
+ * With an externalEntryId it looks up that single entry, otherwise it pages through all mappings
+ * (optionally for one source).
+ */
+defineResolver('getWorklogMappings', ROLES.INTEGRATION_MANAGER, async ({ payload }) => {
+  const functionName = 'getWorklogMappings';
+  const { source, externalEntryId, cursor, limit } = payload || {};
+  console.log(`[${functionName}] Looking up mappings (source: ${source || 'all'}, externalEntryId: ${externalEntryId || 'N/A'})...`);
+  try {
+    if (externalEntryId) {
+      const mapping = await getWorklogMapping(normalizeSource(source), externalEntryId);
+      return { mappings: mapping ? [mapping] : [], nextCursor: null };
+    }
+    return await listWorklogMappings({ source, cursor, limit });
+  } catch (error) {
+    console.error(`[${functionName}] Failed to read mappings:`, error);
+    throw new Error(`Failed to load worklog mappings: ${error.message}`);
+  }
+});
+
+
+// --- Helper: Connected Site Details ---
+/**
+ * Picks the Jira site fields out of stored token data for the UI.
+ * `pendingSites` is set when the user still has to choose between several sites.
+ */
+function getSiteDetails(tokenData) {
+  return {
+    cloudId: tokenData?.cloudId || null,
+    siteName: tokenData?.siteName || null,
+    siteUrl: tokenData?.siteUrl || null,
+    pendingSites: tokenData?.pendingSites || null
+  };
+}
+
+
+// --- Resolver Definition: Select Jira Site ---
+/**
+ * Stores the Jira site the user picked when the OAuth callback could not decide between several sites.
+ * Only sites offered at connect time can be chosen.
+ */
+defineResolver('selectJiraSite', ROLES.USER, async ({ payload, context }) => {
+  const functionName = 'selectJiraSite';
+  const accountId = context?.accountId;
+  const { cloudId } = payload || {};
+  console.log(`[${functionName}] User ${accountId} selecting site ${cloudId}...`);
+
+  const tokenData = await getStoredToken(accountId);
+  if (!tokenData) {
+    throw new Error('Your Jira account is not connected.');
+  }
+  const site = (tokenData.pendingSites || []).find(s => s.id === cloudId);
+  if (!site) {
+    console.warn(`[${functionName}] Site ${cloudId} is not one of the user's pending sites.`);
+    throw new Error('That site is not available for your connection. Reconnect and try again.');
+  }
+
+  const updated = { ...tokenData, cloudId: site.id, siteName: site.name, siteUrl: site.url };
+  delete updated.pendingSites;
+  await saveStoredToken(accountId, updated);
+  console.log(`[${functionName}] Stored site ${site.name} (${site.id}) for user ${accountId}.`);
+  // Worklogs kept while the user had to reconnect can be sent now that a site is known
+  const replayed = await replayParkedOperations(accountId);
+  return { ...getSiteDetails(updated), replayed };
+});
+
+
+// --- Resolver Definition: Disconnect Jira Account ---
+/**
+ * Removes the current user's Jira connection (revoking the refresh token where possible).
+ * Their webhooks are rejected as "User Disconnected" until they connect again.
+ */
+defineResolver('disconnectJiraAccount', ROLES.USER, async ({ context }) => {
+  const functionName = 'disconnectJiraAccount';
+  const accountId = context?.accountId;
+  if (!accountId) {
+    throw new Error('User context not found.');
+  }
+  console.log(`[${functionName}] User ${accountId} is disconnecting their Jira account...`);
+  try {
+    return await disconnectUser(accountId, accountId);
+  } catch (error) {
+    console.error(`[${functionName}] Failed to disconnect ${accountId}:`, error);
+    throw new Error(`Failed to disconnect your Jira account: ${error.message}`);
+  }
+});
+
+
 // --- Helper: Get User Auth Status (Internal, called by getAdminPageContext) ---
 /**
  * Checks if the current user has valid OAuth tokens stored.
@@ -468,10 +889,9 @@ async function getUserAuthStatus(reqContext) {
     return { authenticated: false, error: 'User context not found' };
   }
 
-  const tokenStorageKey = `oauth_token:${accountId}`;
-  console.log(`[${functionName}] Checking storage for key: ${tokenStorageKey}`);
+  console.log(`[${functionName}] Checking stored token for user: ${accountId}`);
   try {
-    const tokenData = await storage.get(tokenStorageKey);
+    const tokenData = await getStoredToken(accountId);
 
     if (!tokenData || !tokenData.accessToken || !tokenData.expiresAt) {
       console.log(`[${functionName}] No valid token data found in storage.`);
@@ -479,30 +899,30 @@ async function getUserAuthStatus(reqContext) {
     }
 
     const now = Date.now();
-    const bufferSeconds = 60 * 1000;
-    if (tokenData.expiresAt < (now + bufferSeconds)) {
+    const bufferMs = await getExpiryBufferMs();
+    if (tokenData.expiresAt < (now + bufferMs)) {
       console.log(`[${functionName}] Token is expired or nearing expiration.`);
       if (!tokenData.refreshToken) {
         console.warn(`[${functionName}] Token expired, but no refresh token available.`);
-        await storage.delete(tokenStorageKey);
+        await deleteStoredToken(accountId);
         return { authenticated: false, error: 'Session expired' };
       }
 
       console.log(`[${functionName}] Attempting token refresh...`);
       try {
-        await refreshOAuthToken(accountId, tokenData.refreshToken);
-        console.log(`[${functionName}] Token refreshed successfully via imported function.`);
-        const refreshedTokenData = await storage.get(tokenStorageKey);
+        const refreshedTokenData = await refreshUserToken(accountId, tokenData.accessToken);
+        console.log(`[${functionName}] Token refreshed successfully via the token service.`);
         return {
           authenticated: true,
           expiresAt: refreshedTokenData?.expiresAt,
-          timestamp: refreshedTokenData?.timestamp
+          timestamp: refreshedTokenData?.timestamp,
+          ...getSiteDetails(refreshedTokenData)
         };
       } catch (refreshError) {
         console.error(`[${functionName}] Token refresh failed: ${refreshError.message}`);
         if (refreshError.requiresReAuthentication || refreshError.message.includes("re-authenticate")) {
-             await storage.delete(tokenStorageKey);
-             return { authenticated: false, error: 'Session expired, re-authentication required' };
+             // Kept (flagged needsReconnect) so webhooks are held for replay after reconnecting
+             return { authenticated: false, needsReconnect: true, error: 'Session expired, re-authentication required' };
         } else {
              return { authenticated: false, error: 'Session expired, refresh failed' };
         }
@@ -512,7 +932,10 @@ async function getUserAuthStatus(reqContext) {
       return {
         authenticated: true,
         expiresAt: tokenData.expiresAt,
-        timestamp: tokenData.timestamp
+        timestamp: tokenData.timestamp,
+        needsReconnect: Boolean(tokenData.needsReconnect),
+        missingScopes: getMissingScopes(tokenData),
+        ...getSiteDetails(tokenData)
       };
     }
   } catch (error) {
@@ -1,106 +1,10 @@
-import { storage, fetch } from '@forge/api';
-
-// --- Token Refresh Logic ---
-/**
- * Refreshes the OAuth access token using the refresh token.
- * Stores the new tokens (including rotated refresh token) in storage.
- * @param {string} userId - The Atlassian Account ID.
- * @param {string} refreshToken - The current refresh token.
- * @returns {Promise<string>} - The new access token.
- * @throws {Error} - If refresh fails, including specific error for re-authentication.
- */
-export async function refreshAccessToken(userId, refreshToken) {
-    console.log(`Attempting to refresh token for user ${userId}`);
-    const clientId = process.env.CLIENT_ID;
-    const clientSecret = process.env.CLIENT_SECRET;
-
-    if (!clientId || !clientSecret) {
-        console.error("CLIENT_ID or CLIENT_SECRET environment variables not set.");
-        throw new Error("OAuth client configuration missing.");
-    }
-    if (!refreshToken) {
-        console.error(`No refresh token found for user ${userId} during refresh attempt.`);
-        throw new Error("Refresh token is missing, user needs to re-authenticate.");
-    }
-
-    const url = 'https://auth.atlassian.com/oauth/token';
-    const body = {
-        grant_type: 'refresh_token',
-        client_id: clientId,
-        client_secret: clientSecret,
-        refresh_token: refreshToken,
-    };
-
-    try {
-        const response = await fetch(url, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Accept': 'application/json',
-            },
-            body: JSON.stringify(body),
-        });
-
-        if (!response.ok) {
-            const errorBody = await response.text();
-            console.error(`Token refresh failed with status ${response.status}: ${errorBody}`);
-            // Check for invalid_grant specifically
-            if (response.status === 403 || response.status === 400 ) {
-                 try {
-                    const parsedError = JSON.parse(errorBody);
-                    if (parsedError.error === 'invalid_grant') {
-                         console.error(`Refresh token for user ${userId} is invalid or expired. Re-authentication required.`);
-                         const refreshError = new Error("Refresh token invalid. Please re-authenticate the app.");
-                         refreshError.requiresReAuthentication = true; // Add flag
-                         throw refreshError;
-                    }
-                 } catch(e) {
-                    // If it was our specific error, re-throw it
-                    if (e.requiresReAuthentication) throw e;
-                    // Otherwise, fall through to generic error
-                 }
-            }
-            throw new Error(`Token refresh failed with status: ${response.status}`);
-        }
-
-        const tokenData = await response.json();
-        const newAccessToken = tokenData.access_token;
-        const newRefreshToken = tokenData.refresh_token; // Atlassian rotates refresh tokens
-
-        if (!newAccessToken) {
-             console.error("Token refresh response did not contain an access_token.");
-             throw new Error("Failed to obtain new access token after refresh.");
-        }
-
-        console.log(`Successfully refreshed token for user ${userId}`);
-
-        // --- Store Refreshed Tokens --- 
-        const storageKey = `oauth_token:${userId}`;
-        const existingUserData = await storage.get(storageKey) || {}; 
-        const updatedUserData = {
-            ...existingUserData, 
-            accessToken: newAccessToken,
-            // IMPORTANT: Store the new refresh token if one was provided
-            ...(newRefreshToken && { refreshToken: newRefreshToken }),
-            expiresAt: Date.now() + (tokenData.expires_in * 1000), 
-            timestamp: Date.now() 
-        };
-
-        await storage.set(storageKey, updatedUserData);
-        console.log(`Stored refreshed tokens for user ${userId} under key ${storageKey}`);
-
-        return newAccessToken;
-
-    } catch (error) {
-        console.error('Error during token refresh:', error);
-        // Propagate specific re-auth error, otherwise throw generic
-        if (error.requiresReAuthentication) {
-            throw error;
-        }
-        throw new Error('Failed to refresh access token.');
-    }
-}
-
+import { asApp, fetch, route } from '@forge/api';
+import { toAdf } from './adfConverter';
+import { logAction } from './actionLogger';
+import { getDisconnection, getReconnectNotice, getStoredToken, recordReconnectNotice, recordWorklogSuccess } from './tokenStore';
+import { refreshUserToken } from './tokenService';
+import { getMissingScopes } from './scopes';
+import { getSettings } from './settingsStore';
 
 // --- Jira API Call Logic ---
 /**
@@ -110,7 +14,7 @@ export async function refreshAccessToken(userId, refreshToken) {
  * @param {string} cloudId - The Jira site cloud ID.
  * @param {string} accessToken - The valid OAuth access token.
  * @param {string} issueKey - The Jira issue key (e.g., 'PROJ-123').
- * @param {Object} worklogData - Payload for POST/PUT (started, timeSpentSeconds). Ignored for DELETE.
+ * @param {Object} worklogData - Payload for POST/PUT (started, timeSpentSeconds, optional comment/commentFormat). Ignored for DELETE.
  * @param {string|null} worklogId - The ID of the worklog for PUT/DELETE operations.
  * @returns {Promise<{status: number, response: Response}>} - The status code and raw fetch Response object.
  * @throws {Error} - If required parameters are missing for the operation.
@@ -134,11 +38,12 @@ export async function callJiraApi(method, cloudId, accessToken, issueKey, worklo
         if (!worklogData || worklogData.timeSpentSeconds === undefined || !worklogData.started) {
              throw new Error(`Missing required fields (started, timeSpentSeconds) in worklog data for ${method} on issue ${issueKey}.`);
         }
+        const hasComment = worklogData.comment !== undefined && worklogData.comment !== null;
         requestBody = JSON.stringify({
             started: worklogData.started,
             timeSpentSeconds: worklogData.timeSpentSeconds,
-            // Example for adding comment later (requires ADF format):
-            // ...(worklogData.comment && { comment: { type: 'doc', version: 1, content: [{ type: 'paragraph', content: [{ type: 'text', text: worklogData.comment }] }] } })
+            // Jira v3 only accepts ADF comments; an empty string clears the comment on update
+            ...(hasComment && { comment: toAdf(worklogData.comment, { format: worklogData.commentFormat }) })
         });
     }
     
@@ -158,84 +63,299 @@ export async function callJiraApi(method, cloudId, accessToken, issueKey, worklo
         return { status: response.status, response };
     } catch (error) {
         console.error('Error calling Jira API:', error);
-        throw new Error('Network or unexpected error occurred while calling Jira API.');
+        const networkError = new Error('Network or unexpected error occurred while calling Jira API.');
+        networkError.retryable = true; // Worth queueing for a later attempt
+        throw networkError;
     }
 }
 
 
+// --- Transient Failure Handling ---
+const BACKOFF_BASE_MS = 500;
+const BACKOFF_MAX_MS = 8000;
+const WORKLOG_ACTIONS = { POST: 'create', PUT: 'update', DELETE: 'delete' };
+// Forge stops an invocation after 25 s; the deadline leaves room to queue the work and answer the caller
+const INVOCATION_LIMIT_MS = 25 * 1000;
+const INVOCATION_RESERVE_MS = 3 * 1000;
+// Time one Jira attempt (the call and its action-log entry) may need; with less left, the work is queued instead
+const ATTEMPT_RESERVE_MS = 3 * 1000;
+
+/**
+ * The latest time work in this invocation may run until. Created once at the entry point
+ * (webtrigger, batch, queue consumer) and passed down, so all Jira calls and token refreshes share it.
+ * @param {number} [startedAt=Date.now()] - When the invocation started.
+ * @returns {number} Epoch milliseconds.
+ */
+export function createInvocationDeadline(startedAt = Date.now()) {
+    return startedAt + INVOCATION_LIMIT_MS - INVOCATION_RESERVE_MS;
+}
+
+/**
+ * Whether enough of the invocation is left for one more Jira attempt.
+ * @param {number} deadline - See createInvocationDeadline.
+ * @returns {boolean}
+ */
+export function hasTimeForAttempt(deadline) {
+    return deadline - Date.now() >= ATTEMPT_RESERVE_MS;
+}
+
+/**
+ * Whether a Jira response status is transient and worth retrying (rate limiting or server-side failures).
+ * @param {number} status - The HTTP status returned by Jira.
+ * @returns {boolean}
+ */
+export function isRetryableStatus(status) {
+    return status === 429 || status >= 500;
+}
+
+/**
+ * Reads a Retry-After header (delta seconds or an HTTP date).
+ * @param {Response} response - The Jira response.
+ * @returns {number|null} Milliseconds to wait, or null if the header is absent or unparseable.
+ */
+function parseRetryAfterMs(response) {
+    const value = response?.headers?.get?.('retry-after');
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(seconds, 0) * 1000;
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+/**
+ * "Full jitter" exponential backoff: a random delay up to base * 2^(attempt - 1), capped.
+ * @param {number} attempt - The attempt that just failed (1-based).
+ */
+function backoffDelayMs(attempt) {
+    return Math.round(Math.random() * Math.min(BACKOFF_BASE_MS * 2 ** (attempt - 1), BACKOFF_MAX_MS));
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+
 // --- Common API Call Wrapper with Retry ---
 /**
- * Retrieves user auth data and calls the Jira API, handling token refresh and retry.
+ * Retrieves user auth data and calls the Jira API, handling token refresh and transient failures.
+ * 401/403 triggers one token refresh. 429, 5xx and network errors are retried with jittered exponential
+ * backoff (or after Retry-After) while the retry time budget and the invocation deadline allow; after that the
+ * last result is returned (or the network error thrown) with `retryAfterSeconds`, so the caller can queue the operation.
+ * If the deadline leaves no time for an attempt, a retryable error is thrown without calling Jira.
+ * Every attempt is written to the action log.
  * @param {string} accountId - The Atlassian Account ID of the user.
  * @param {string} apiMethod - 'POST', 'PUT', or 'DELETE'.
  * @param {string} issueKey - The Jira issue key.
  * @param {Object} payloadForApi - The data for the API call body (for POST/PUT).
  * @param {string|null} targetWorklogId - The worklog ID (for PUT/DELETE).
- * @returns {Promise<{status: number, response: Response}>} - The final API result after potential retry.
+ * @param {object} [options]
+ * @param {Map<string, Object>} [options.authCache] - Optional per-invocation cache of user auth data, keyed by account ID.
+ *   The batch webhook passes one so each user's token is read (and refreshed) once per batch.
+ * @param {string} [options.requestId] - The webhook request ID, recorded with each attempt in the action log.
+ * @param {number} [options.deadline] - The invocation deadline (see createInvocationDeadline); defaults to one starting now.
+ * @returns {Promise<{status: number, response: Response, attempts: number, retryAfterSeconds?: number}>} - The final API result.
  * @throws {Error} - If auth data is missing, refresh fails irrecoverably, or API call fails irrecoverably.
  */
-export async function callJiraApiWithRetry(accountId, apiMethod, issueKey, payloadForApi, targetWorklogId = null) {
-    const storageKey = `oauth_token:${accountId}`;
-    console.log(`Retrieving OAuth data for API call using key: ${storageKey}`);
+export async function callJiraApiWithRetry(accountId, apiMethod, issueKey, payloadForApi, targetWorklogId = null, { authCache = null, requestId = null, deadline = createInvocationDeadline() } = {}) {
     let userData;
     try {
-        userData = await storage.get(storageKey);
+        userData = authCache?.get(accountId);
+        if (!userData) {
+            console.log(`Retrieving OAuth data for API call for user ${accountId}`);
+            userData = await getStoredToken(accountId);
+        }
+        // Tell callers apart from an expired connection when the user disconnected on purpose
+        if (!userData) {
+            const disconnection = await getDisconnection(accountId);
+            if (disconnection) {
+                console.error(`User ${accountId} disconnected on ${new Date(disconnection.disconnectedAt).toISOString()}.`);
+                const disconnectedError = new Error(`User ${accountId} has disconnected Worklog Handler from their Jira account. They must connect again before worklogs can be sent for them.`);
+                disconnectedError.outputKey = 'error-user-disconnected';
+                throw disconnectedError;
+            }
+        }
         // Explicitly check for all required fields from storage
-        if (!userData || !userData.accessToken || !userData.refreshToken || !userData.cloudId) {
+        if (!userData || !userData.accessToken || !userData.refreshToken) {
             const missingFields = [
                 !userData && 'userData object',
                 userData && !userData.accessToken && 'accessToken',
-                userData && !userData.refreshToken && 'refreshToken',
-                userData && !userData.cloudId && 'cloudId'
+                userData && !userData.refreshToken && 'refreshToken'
             ].filter(Boolean).join(', ');
             console.error(`OAuth data incomplete or not found for user ${accountId}. Missing: ${missingFields}.`);
             throw new Error(`Authentication data incomplete for user ${accountId}. Missing: ${missingFields}. Please re-authenticate.`);
         }
+        // Connected, but no Jira site chosen (several sites and the installation site was unknown)
+        if (!userData.cloudId) {
+            console.error(`No Jira site stored for user ${accountId}.`);
+            const siteError = new Error(userData.pendingSites
+                ? `No Jira site selected for user ${accountId}. Open Worklog Handler in Jira and choose the site to log work on.`
+                : `No matching Jira site found for user ${accountId}. Reconnect from Worklog Handler on the site where the app is installed.`);
+            siteError.outputKey = 'error-no-site';
+            throw siteError;
+        }
+        // Tokens granted before the app's scopes changed would only produce opaque 403s
+        const missingScopes = getMissingScopes(userData);
+        if (missingScopes.length > 0) {
+            console.error(`Token for user ${accountId} is missing scopes: ${missingScopes.join(', ')}.`);
+            const scopeError = new Error(`User ${accountId} must reconnect Worklog Handler to grant new permissions. Missing scopes: ${missingScopes.join(', ')}.`);
+            scopeError.outputKey = 'error-reconsent-required';
+            throw scopeError;
+        }
         console.log(`Successfully retrieved user data for ${accountId}. cloudId: ${userData.cloudId}`);
+        authCache?.set(accountId, userData);
     } catch (error) {
-        // Catch errors from storage.get or the validation check
+        // Catch errors from the token store or the validation check
         console.error(`Failed to retrieve or validate storage for user ${accountId}:`, error);
         // Prefix the error message to make it clear it originated here
-        throw new Error(`Could not retrieve user authentication data: ${error.message}`);
+        const authError = new Error(`Could not retrieve user authentication data: ${error.message}`);
+        authError.outputKey = error.outputKey;
+        throw authError;
     }
 
     let currentAccessToken = userData.accessToken;
-    let apiResult;
+    let tokenRefreshed = false;
+    const startedAt = Date.now();
+    // How long this call may spend retrying transient failures before it is handed to the retry queue,
+    // and the most attempts it makes (including the first); the invocation deadline applies on top
+    const { jiraRetryTimeBudgetSeconds, jiraRetryMaxAttempts: maxAttempts } = await getSettings();
+    const timeBudgetMs = jiraRetryTimeBudgetSeconds * 1000;
+    let transientAttempts = 0;
 
-    try {
-        // Initial API Call attempt
-        console.log(`Attempting initial API call: ${apiMethod} for issue ${issueKey} (worklogId: ${targetWorklogId || 'N/A'})`);
-        apiResult = await callJiraApi(apiMethod, userData.cloudId, currentAccessToken, issueKey, payloadForApi, targetWorklogId);
+    const logAttempt = (attempt, success, message) => logAction({
+        actionType: 'jira-call',
+        success,
+        issueKey,
+        worklogId: targetWorklogId,
+        accountId,
+        message: `${apiMethod} attempt ${attempt}: ${message}`,
+        requestId
+    });
 
-        // Handle Token Expiry (401 Unauthorized or 403 Forbidden)
-        if (apiResult.status === 401 || apiResult.status === 403) {
-            console.warn(`Received ${apiResult.status} on initial call for user ${accountId}. Attempting token refresh.`);
+    try {
+        for (let attempt = 1; ; attempt++) {
+            if (!hasTimeForAttempt(deadline)) {
+                console.warn(`No time left in this invocation for ${apiMethod} on issue ${issueKey}; deferring.`);
+                await logAttempt(attempt, false, 'invocation time limit reached; deferring.');
+                const timeLimitError = new Error(`Invocation time limit reached before ${apiMethod} on issue ${issueKey} could be sent.`);
+                timeLimitError.retryable = true;
+                throw timeLimitError;
+            }
+            console.log(`Attempting API call ${attempt}: ${apiMethod} for issue ${issueKey} (worklogId: ${targetWorklogId || 'N/A'})`);
+            let apiResult = null;
+            let networkError = null;
             try {
-                currentAccessToken = await refreshAccessToken(accountId, userData.refreshToken);
-                
-                // --- Retry API Call with new token --- 
-                console.log(`Retrying API call (${apiMethod}) for issue ${issueKey} with refreshed token.`);
                 apiResult = await callJiraApi(apiMethod, userData.cloudId, currentAccessToken, issueKey, payloadForApi, targetWorklogId);
-                console.log(`Retry API call completed with status: ${apiResult.status}`);
+            } catch (callError) {
+                if (!callError.retryable) throw callError;
+                networkError = callError;
+            }
+
+            // Handle Token Expiry (401 Unauthorized or 403 Forbidden) with a single refresh
+            if (apiResult && (apiResult.status === 401 || apiResult.status === 403) && !tokenRefreshed) {
+                console.warn(`Received ${apiResult.status} for user ${accountId}. Attempting token refresh.`);
+                await logAttempt(attempt, false, `${apiResult.status}, refreshing token and retrying.`);
+                try {
+                    // Waits for (and reuses) a refresh another request already started for this user
+                    // Leaves time for the call with the new token
+                    userData = await refreshUserToken(accountId, currentAccessToken, { deadline: deadline - ATTEMPT_RESERVE_MS });
+                    currentAccessToken = userData.accessToken;
+                    tokenRefreshed = true;
+                    // The refresh token was rotated; later calls in this invocation must use the stored pair
+                    authCache?.set(accountId, userData);
+                } catch (refreshError) {
+                    console.error(`Failed to refresh token or retry API call for user ${accountId}:`, refreshError);
+                    // Re-throw the error from refreshUserToken - it might require re-authentication
+                    throw refreshError;
+                }
+                continue;
+            }
 
-            } catch (refreshError) {
-                console.error(`Failed to refresh token or retry API call for user ${accountId}:`, refreshError);
-                // Re-throw the error from refreshAccessToken - it might require re-authentication
-                throw refreshError; 
+            if (apiResult && !isRetryableStatus(apiResult.status)) {
+                await logAttempt(attempt, apiResult.response.ok, `${apiResult.status}.`);
+                if (apiResult.response.ok) {
+                    // Bookkeeping only: a storage error here must not turn a completed Jira call into a failure
+                    await recordWorklogSuccess(accountId, WORKLOG_ACTIONS[apiMethod])
+                        .catch(recordError => console.error('Failed to record worklog activity:', recordError));
+                }
+                return { ...apiResult, attempts: attempt };
             }
+
+            // Transient failure: 429, 5xx or network error
+            transientAttempts++;
+            const failure = apiResult ? String(apiResult.status) : 'network error';
+            const retryAfterMs = apiResult ? parseRetryAfterMs(apiResult.response) : null;
+            const delayMs = retryAfterMs ?? backoffDelayMs(transientAttempts);
+            const elapsedMs = Date.now() - startedAt;
+
+            if (transientAttempts >= maxAttempts || elapsedMs + delayMs > timeBudgetMs || Date.now() + delayMs + ATTEMPT_RESERVE_MS > deadline) {
+                console.warn(`Giving up on ${apiMethod} for issue ${issueKey} after ${attempt} attempts (${elapsedMs}ms); next retry would need ${delayMs}ms.`);
+                await logAttempt(attempt, false, `${failure}, retry budget exhausted; deferring.`);
+                const retryAfterSeconds = Math.ceil(delayMs / 1000);
+                if (networkError) {
+                    networkError.retryAfterSeconds = retryAfterSeconds;
+                    throw networkError;
+                }
+                return { ...apiResult, attempts: attempt, retryAfterSeconds };
+            }
+
+            console.warn(`Transient failure (${failure}) on ${apiMethod} for issue ${issueKey}; retrying in ${delayMs}ms.`);
+            await logAttempt(attempt, false, `${failure}, retrying in ${(delayMs / 1000).toFixed(1)}s${retryAfterMs !== null ? ' (Retry-After)' : ''}.`);
+            await sleep(delayMs);
         }
-        // Return the final result (either from initial call or successful retry)
-        return apiResult;
 
     } catch (error) {
-        // Catch errors from callJiraApi or refreshAccessToken
+        // Catch errors from callJiraApi or refreshUserToken
          console.error(`Error during Jira API call/retry process for user ${accountId}:`, error);
          // Check if the error requires re-authentication explicitly
          if (error.requiresReAuthentication || (error.message && error.message.includes("re-authenticate"))) {
             // Throw a specific error upwards
-            throw new Error(`Authentication failed for user ${accountId}. Please re-authenticate the app.`);
+            const reauthError = new Error(`Authentication failed for user ${accountId}. Please re-authenticate the app.`);
+            reauthError.requiresReAuthentication = true;
+            throw reauthError;
          }
          // Throw other errors (e.g., network, missing params from callJiraApi)
-         throw new Error(`Failed to execute Jira API request: ${error.message}`);
+         const apiError = new Error(`Failed to execute Jira API request: ${error.message}`);
+         apiError.retryable = Boolean(error.retryable);
+         apiError.retryAfterSeconds = error.retryAfterSeconds;
+         throw apiError;
     }
-} 
\ No newline at end of file
+}
+
+
+// --- Reconnect Notification ---
+/**
+ * Tells a user through Jira's notify API that their connection must be renewed.
+ * Jira notifications are sent about an issue, so the issue of the failed worklog is used.
+ * Each user is notified once until they reconnect (see clearReconnectNotice).
+ * @param {string} accountId - The user to notify.
+ * @param {string} issueKey - The issue of the worklog that could not be sent.
+ * @returns {Promise<boolean>} Whether a notification was sent.
+ */
+export async function notifyReconnectRequired(accountId, issueKey) {
+    if (!accountId || !issueKey) return false;
+    if (await getReconnectNotice(accountId)) {
+        console.log(`User ${accountId} was already asked to reconnect; not notifying again.`);
+        return false;
+    }
+
+    const textBody = 'Worklog Handler can no longer log work for you because Atlassian rejected your saved login. '
+        + 'Open Worklog Handler in Jira and click "Connect / Reconnect Jira Account". '
+        + 'Worklogs that arrived in the meantime are kept and will be sent after you reconnect.';
+    const response = await asApp().requestJira(route`/rest/api/3/issue/${issueKey}/notify`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' },
+        body: JSON.stringify({
+            subject: 'Worklog Handler: please reconnect your Jira account',
+            textBody,
+            htmlBody: `<p>${textBody}</p>`,
+            to: { users: [{ accountId }] }
+        })
+    });
+    if (!response.ok) {
+        console.warn(`Reconnect notification for user ${accountId} on ${issueKey} failed: ${response.status} ${await response.text()}`);
+        return false;
+    }
+    await recordReconnectNotice(accountId, issueKey);
+    console.log(`Asked user ${accountId} to reconnect (notification on ${issueKey}).`);
+    return true;
+}
@@ -1,4 +1,8 @@
-import { storage, webTrigger } from "@forge/api";
+import { webTrigger } from "@forge/api";
+import { consumeOAuthState } from "./state";
+import { clearDisconnection, clearReconnectNotice, deleteStoredToken, getStoredToken, markDisconnected, saveStoredToken } from "./tokenStore";
+import { replayParkedOperations } from "./retryQueue";
+import { logAction } from "./actionLogger";
 
 function createPopupHtml(success, message) {
   const icon = success ? "✅" : "❌";
@@ -46,7 +50,45 @@ function createErrorResponse(message) {
   });
 }
 
-export async function oauthCallbackHandler(req) {
+/**
+ * Extracts the cloudId of the site this installation belongs to.
+ * Web trigger contexts carry it as `ari:cloud:jira::site/<cloudId>`.
+ * @param {Object} context - The web trigger invocation context.
+ * @returns {string|null}
+ */
+function getInstalledCloudId(context) {
+  const match = /site\/([^/]+)$/.exec(context?.installContext || '');
+  return match ? match[1] : null;
+}
+
+/**
+ * Picks the Jira site to store for the user from their accessible resources.
+ * @param {Array<Object>} resources - Accessible resources (id, name, url).
+ * @param {string|null} installedCloudId - The site where the app is installed, if known.
+ * @returns {{site: Object|null, pendingSites: Array<Object>|null, error: string|null}}
+ *   `site` when the choice is clear, `pendingSites` when the user must pick, `error` when no site fits.
+ */
+function selectSite(resources, installedCloudId) {
+  const sites = (resources || []).map(({ id, name, url }) => ({ id, name, url }));
+  if (sites.length === 0) {
+    return { site: null, pendingSites: null, error: "Your Atlassian account has no accessible Jira sites." };
+  }
+  if (installedCloudId) {
+    const site = sites.find(s => s.id === installedCloudId);
+    if (site) return { site, pendingSites: null, error: null };
+    console.error(`None of the ${sites.length} accessible resources matches the installation site ${installedCloudId}.`);
+    return {
+      site: null,
+      pendingSites: null,
+      error: "Your Atlassian account has no access to the Jira site where Worklog Handler is installed. Sign in with an account on that site and try again."
+    };
+  }
+  // Installation site unknown: only a single accessible site is unambiguous
+  if (sites.length === 1) return { site: sites[0], pendingSites: null, error: null };
+  return { site: null, pendingSites: sites, error: null };
+}
+
+export async function oauthCallbackHandler(req, context) {
   console.log('[oauthCallbackHandler] Started.');
   let accountId = '';
 
@@ -77,9 +119,18 @@ export async function oauthCallbackHandler(req) {
       console.error(`OAuth Error: ${error} - ${errorDescription}`);
       return createErrorResponse(`Authentication error: ${error}`);
     }
-    if (!code || !state || !state.startsWith('secure-')) {
-      console.error("Missing code or invalid state.");
-      return createErrorResponse("Missing authorization code or invalid state.");
+    if (!code) {
+      console.error("Missing authorization code.");
+      return createErrorResponse("Missing authorization code.");
+    }
+
+    // CSRF protection: the state must be one we issued, unexpired and unused
+    let stateRecord;
+    try {
+      stateRecord = await consumeOAuthState(state);
+    } catch (stateError) {
+      console.error(`OAuth state rejected: ${stateError.message}`);
+      return createErrorResponse(stateError.message);
     }
 
     const CLIENT_ID = process.env.CLIENT_ID;
@@ -108,7 +159,8 @@ export async function oauthCallbackHandler(req) {
           client_secret: CLIENT_SECRET,
           code,
           redirect_uri: REDIRECT_URI,
-          audience: "api.atlassian.com"
+          audience: "api.atlassian.com",
+          ...(stateRecord.codeVerifier && { code_verifier: stateRecord.codeVerifier }) // PKCE
         })
       });
 
@@ -150,9 +202,14 @@ export async function oauthCallbackHandler(req) {
       console.error("Account ID missing in user info.");
       return createErrorResponse("Invalid user account.");
     }
+    // The state is bound to the Jira user who started the login
+    if (accountId !== stateRecord.accountId) {
+      console.error(`OAuth state was issued to ${stateRecord.accountId} but the callback is for ${accountId}.`);
+      return createErrorResponse("You signed in with a different Atlassian account than the one using Worklog Handler. Please sign in with your own account.");
+    }
 
-    // --- Fetch Accessible Resources to get cloudId ---
-    let cloudId = null;
+    // --- Fetch Accessible Resources and match the installation site ---
+    let resources;
     try {
       console.log("Fetching accessible resources...");
       const resourcesRes = await fetch("https://api.atlassian.com/oauth/token/accessible-resources", {
@@ -161,44 +218,65 @@ export async function oauthCallbackHandler(req) {
 
       if (!resourcesRes.ok) {
         console.error("Accessible resources fetch failed:", resourcesRes.status);
-        // Don't block auth, but log the error. Worklog handler will fail later if cloudId is needed.
-      } else {
-          const resources = await resourcesRes.json();
-          if (resources && resources.length > 0) {
-            // Assuming the first resource is the desired Jira site
-            cloudId = resources[0].id; 
-            console.log(`Found cloudId: ${cloudId}`);
-          } else {
-            console.warn("Accessible resources list is empty. Unable to determine cloudId.");
-          }
+        return createErrorResponse("Failed to look up your Jira sites.");
       }
+      resources = await resourcesRes.json();
     } catch (resourcesErr) {
       console.error("Error fetching accessible resources:", resourcesErr);
-      // Continue without cloudId, log the error
+      return createErrorResponse("Error looking up your Jira sites.");
+    }
+
+    const installedCloudId = getInstalledCloudId(context);
+    const { site, pendingSites, error: siteError } = selectSite(resources, installedCloudId);
+    if (siteError) {
+      return createErrorResponse(siteError);
+    }
+    if (site) {
+      console.log(`Selected site ${site.name} (cloudId: ${site.id}).`);
+    } else {
+      console.log(`Installation site unknown and ${pendingSites.length} sites accessible; waiting for the user to choose.`);
     }
     // --- End Fetch Accessible Resources ---
 
-    const tokenStorageKey = `oauth_token:${accountId}`;
     const tokenPayload = {
       accessToken: tokenData.access_token,
       refreshToken: tokenData.refresh_token,
       expiresAt: Date.now() + (tokenData.expires_in * 1000),
       scopes: tokenData.scope?.split(' ') || [],
       timestamp: Date.now(),
-      cloudId: cloudId,
+      cloudId: site?.id || null,
+      siteName: site?.name || null,
+      siteUrl: site?.url || null,
+      ...(pendingSites && { pendingSites }), // Cleared by the selectJiraSite resolver
       accountId: accountId
     };
 
     try {
-      await storage.set(tokenStorageKey, tokenPayload);
+      await saveStoredToken(accountId, tokenPayload);
+      await clearDisconnection(accountId);
       console.log(`Token stored successfully for accountId: ${accountId}`);
     } catch (storageErr) {
       console.error("Error storing tokens:", storageErr);
       return createErrorResponse("Failed to save authorization data.");
     }
 
+    // Worklogs kept while the connection was broken are sent now (or once a site is chosen)
+    let replayed = 0;
+    try {
+      await clearReconnectNotice(accountId);
+      if (site) {
+        replayed = await replayParkedOperations(accountId);
+      }
+    } catch (replayErr) {
+      console.error("Error replaying operations kept for reconnect:", replayErr);
+    }
+
     console.log("OAuth completed successfully.");
-    return new Response(createPopupHtml(true, "Authentication successful!"), {
+    const replayNote = replayed > 0 ? ` ${replayed} waiting worklog change(s) will be sent shortly.` : "";
+    const successMessage = site
+      ? `Authentication successful! Connected to ${site.name}.${replayNote}`
+      : "Authentication successful! Choose your Jira site in Worklog Handler to finish connecting.";
+    return new Response(createPopupHtml(true, successMessage), {
       status: 200,
       headers: { "Content-Type": "text/html", "Cache-Control": "no-store" }
     });
@@ -209,50 +287,67 @@ export async function oauthCallbackHandler(req) {
   }
 }
 
-export async function refreshOAuthToken(accountId, refreshToken) {
-  if (!accountId || !refreshToken) {
-    throw new Error("Missing required parameters.");
-  }
-
+/**
+ * Asks Atlassian to revoke a refresh token (and the access tokens issued from it).
+ * Atlassian does not accept revocation for every app type, so failure is reported rather than thrown.
+ * @param {string} refreshToken - The token to revoke.
+ * @returns {Promise<boolean>} Whether Atlassian confirmed the revocation.
+ */
+async function revokeRefreshToken(refreshToken) {
   const CLIENT_ID = process.env.CLIENT_ID;
   const CLIENT_SECRET = process.env.CLIENT_SECRET;
-  if (!CLIENT_ID || !CLIENT_SECRET) {
-    throw new Error("Missing client credentials.");
-  }
-
-  const tokenResponse = await fetch("https://auth.atlassian.com/oauth/token", {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      grant_type: "refresh_token",
-      client_id: CLIENT_ID,
-      client_secret: CLIENT_SECRET,
-      refresh_token: refreshToken
-    })
-  });
-
-  if (!tokenResponse.ok) {
-    throw new Error(`Token refresh failed: ${tokenResponse.status}`);
+  if (!refreshToken || !CLIENT_ID || !CLIENT_SECRET) {
+    return false;
   }
-
-  const tokenData = await tokenResponse.json();
-  if (!tokenData?.access_token) {
-    throw new Error("Invalid token refresh response.");
+  try {
+    const response = await fetch("https://auth.atlassian.com/oauth/revoke", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        token: refreshToken,
+        token_type_hint: "refresh_token",
+        client_id: CLIENT_ID,
+        client_secret: CLIENT_SECRET
+      })
+    });
+    if (!response.ok) {
+      console.warn(`Token revocation was not accepted: ${response.status}`);
+      return false;
+    }
+    return true;
+  } catch (err) {
+    console.warn("Error revoking token:", err);
+    return false;
   }
+}
 
-  const storedToken = await storage.get(`oauth_token:${accountId}`);
-  if (!storedToken) {
-    throw new Error("No token to refresh.");
+/**
+ * Disconnects a user's Jira account: revokes the refresh token where Atlassian allows it,
+ * deletes the stored token data and marks the user as disconnected so their webhooks are
+ * rejected with 'error-user-disconnected' until they connect again.
+ * @param {string} accountId - The user to disconnect.
+ * @param {string} performedBy - The account that asked for it (the user or an admin).
+ * @returns {Promise<{wasConnected: boolean, revoked: boolean}>}
+ */
+export async function disconnectUser(accountId, performedBy) {
+  if (!accountId) {
+    throw new Error("Missing account ID.");
   }
+  const storedToken = await getStoredToken(accountId);
+  const revoked = await revokeRefreshToken(storedToken?.refreshToken);
 
-  const updatedToken = {
-    ...storedToken,
-    accessToken: tokenData.access_token,
-    refreshToken: tokenData.refresh_token || storedToken.refreshToken,
-    expiresAt: Date.now() + (tokenData.expires_in * 1000),
-    lastRefreshed: Date.now()
-  };
+  await deleteStoredToken(accountId);
+  await markDisconnected(accountId, performedBy);
 
-  await storage.set(`oauth_token:${accountId}`, updatedToken);
-  return updatedToken;
+  const byAdmin = performedBy && performedBy !== accountId;
+  await logAction({
+    actionType: 'disconnect',
+    success: true,
+    issueKey: 'N/A',
+    accountId,
+    message: `Jira connection removed${byAdmin ? ` by ${performedBy}` : ' by the user'}${storedToken ? '' : ' (no stored tokens)'}; `
+      + `refresh token ${revoked ? 'revoked with Atlassian' : 'not revoked with Atlassian'}.`
+  });
+  console.log(`Disconnected user ${accountId} (requested by ${performedBy}, revoked: ${revoked}).`);
+  return { wasConnected: Boolean(storedToken), revoked };
 }
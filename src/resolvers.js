@@ -1,32 +1,42 @@
-import api, { storage } from '@forge/api';
+import Resolver from '@forge/resolver';
+import { queryActionLog } from './actionLogger';
+import { authorize, hasRole, ROLES } from './authorization';
 
-const LOG_STORAGE_KEY = 'actionLog';
+// Resolvers of the action log viewer (project page), separate from the global page's resolvers in index.js
+const resolver = new Resolver();
 
 /**
- * Resolver function to fetch the stored action logs.
+ * Fetches stored action logs, filtered and paged on the server.
+ * Payload (all optional): actionType, success, issueKey, accountId, from, to, cursor, limit.
+ * Ordinary users only get their own entries; integration managers and admins see everyone's.
+ * @returns {Promise<{entries: Object[], nextCursor: string|null, ownEntriesOnly: boolean}>}
  */
-export async function getActionLogResolver() {
-    console.log(`[Resolver:getActionLogResolver] Fetching logs from storage key: ${LOG_STORAGE_KEY}`);
+resolver.define('getActionLogFn', authorize('Resolver:getActionLogFn', ROLES.USER, async (req) => {
+    const filters = { ...(req.payload || {}) };
+    const ownEntriesOnly = !hasRole(req.role, ROLES.INTEGRATION_MANAGER);
+    if (ownEntriesOnly) {
+        filters.ownerAccountId = req.context.accountId;
+    }
+    console.log('[Resolver:getActionLogFn] Querying action log with filters:', filters);
     try {
-        const logs = await storage.get(LOG_STORAGE_KEY);
-        // Return the logs, or an empty array if nothing is stored yet
-        return Array.isArray(logs) ? logs : []; 
+        return { ...(await queryActionLog(filters)), ownEntriesOnly };
     } catch (error) {
-        console.error(`[Resolver:getActionLogResolver] Error fetching logs:`, error);
-        // Return empty array or throw error depending on desired frontend handling
-        return []; 
+        console.error(`[Resolver:getActionLogFn] Error fetching logs:`, error);
+        // Return an empty page or throw error depending on desired frontend handling
+        return { entries: [], nextCursor: null, ownEntriesOnly, error: 'Failed to load action logs.' };
     }
-}
+}));
 
 /**
- * Resolver function to check if credentials are set.
- * (Included based on manifest reference)
+ * Checks whether the OAuth client credentials are set.
  */
-export async function credentialCheckResolver() {
-    console.log('[Resolver:credentialCheckResolver] Checking credentials...');
+resolver.define('getCredCheckFn', authorize('Resolver:getCredCheckFn', ROLES.INTEGRATION_MANAGER, async () => {
+    console.log('[Resolver:getCredCheckFn] Checking credentials...');
     const clientId = process.env.CLIENT_ID;
     const clientSecret = process.env.CLIENT_SECRET;
     const isConfigured = !!(clientId && clientSecret);
-    console.log(`[Resolver:credentialCheckResolver] Configured status: ${isConfigured}`);
+    console.log(`[Resolver:getCredCheckFn] Configured status: ${isConfigured}`);
     return { isConfigured };
-} 
\ No newline at end of file
+}));
+
+export const handler = resolver.getDefinitions();
@@ -0,0 +1,343 @@
+import { storage, startsWith } from '@forge/api';
+import { Queue } from '@forge/events';
+import crypto from 'crypto';
+import { logAction } from './actionLogger';
+import { createInvocationDeadline, notifyReconnectRequired } from './jiraApiHelper';
+import { getSettings } from './settingsStore';
+import { OUTPUT_STATUS_CODES } from './webhookResponse';
+import { createWorklog } from './worklogCreateHandler';
+import { updateWorklog } from './worklogUpdateHandler';
+import { deleteWorklog } from './worklogDeleteHandler';
+
+const RETRY_QUEUE_KEY = 'worklog-retry-queue';
+const RETRY_KEY_PREFIX = 'retry_op:';
+const DEAD_LETTER_KEY_PREFIX = 'dead_letter:';
+// Operations that failed because the user must reconnect: `reconnect_wait:<accountId>:<time>:<id>`, oldest first
+const RECONNECT_WAIT_KEY_PREFIX = 'reconnect_wait:';
+
+const MAX_DELAY_SECONDS = 900; // Longest delay Forge async events accept
+
+/**
+ * Looks up the core operation for a queued record.
+ * Resolved at call time because the operation modules import this one.
+ */
+function getOperation(operation) {
+    return { create: createWorklog, update: updateWorklog, delete: deleteWorklog }[operation];
+}
+
+/**
+ * Delay before retry number `attempt` (1-based): the base delay doubled per attempt, capped at 15 minutes.
+ * The base is the `retryBaseDelaySeconds` setting.
+ */
+async function getRetryDelaySeconds(attempt) {
+    const { retryBaseDelaySeconds } = await getSettings();
+    return Math.min(retryBaseDelaySeconds * 2 ** (attempt - 1), MAX_DELAY_SECONDS);
+}
+
+async function scheduleAttempt(record, minDelaySeconds = 0) {
+    // Never earlier than Jira asked for (Retry-After), never later than the queue allows
+    const delayInSeconds = Math.min(Math.max(await getRetryDelaySeconds(record.attempts + 1), Math.ceil(minDelaySeconds || 0)), MAX_DELAY_SECONDS);
+    record.nextAttemptAt = Date.now() + delayInSeconds * 1000;
+    record.updatedAt = Date.now();
+    await storage.set(`${RETRY_KEY_PREFIX}${record.id}`, record);
+    await new Queue({ key: RETRY_QUEUE_KEY }).push({ body: { retryId: record.id }, delayInSeconds });
+    console.log(`[RetryQueue] Scheduled attempt ${record.attempts + 1} of ${record.operation} ${record.id} in ${delayInSeconds}s.`);
+}
+
+/**
+ * Persists a failed operation and schedules its first retry.
+ * @param {object} operation
+ * @param {string} operation.operation - 'create', 'update' or 'delete'.
+ * @param {Object} operation.payload - The webhook payload to run again.
+ * @param {string} operation.requestId - The request that failed.
+ * @param {string} [operation.idempotencyKey] - The caller's idempotency key (creates only).
+ * @param {string} operation.error - Why the attempt failed.
+ * @param {number} [operation.retryAfterSeconds] - Earliest retry Jira asked for (Retry-After).
+ * @returns {Promise<{id: string}>} The retry record's ID.
+ */
+export async function enqueueRetry({ operation, payload, requestId, idempotencyKey, error, retryAfterSeconds }) {
+    const now = Date.now();
+    const record = {
+        id: crypto.randomUUID(),
+        operation,
+        payload,
+        requestId,
+        idempotencyKey: idempotencyKey || null,
+        attempts: 0,
+        lastError: error,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: null
+    };
+    await scheduleAttempt(record, retryAfterSeconds);
+    return { id: record.id };
+}
+
+async function moveToDeadLetters(record, reason) {
+    const deadLetter = { ...record, nextAttemptAt: null, updatedAt: Date.now(), deadLetteredAt: Date.now() };
+    await storage.set(`${DEAD_LETTER_KEY_PREFIX}${record.id}`, deadLetter);
+    await storage.delete(`${RETRY_KEY_PREFIX}${record.id}`);
+    console.warn(`[RetryQueue] ${record.operation} ${record.id} moved to the dead-letter list: ${reason}`);
+    await logAction({
+        actionType: record.operation,
+        success: false,
+        issueKey: record.payload?.issueKey || 'Unknown',
+        worklogId: record.payload?.worklogId,
+        accountId: record.payload?.userId || 'Unknown',
+        message: `Moved to the dead-letter list after ${record.attempts} retries: ${reason}`,
+        requestId: record.requestId
+    });
+}
+
+/**
+ * Runs a stored operation once, without queueing it again on failure.
+ * @param {Object} record - The retry or dead-letter record.
+ * @param {string} requestId - The request ID of this attempt.
+ * @param {number} deadline - The invocation deadline, see createInvocationDeadline in jiraApiHelper.js.
+ * @returns {Promise<{outputKey: string, details: Object, retryable?: boolean}>}
+ */
+async function runOperation(record, requestId, deadline) {
+    const operation = getOperation(record.operation);
+    if (!operation) {
+        return { outputKey: 'error-bad-request', details: { message: `Unknown operation '${record.operation}'.` } };
+    }
+    return operation(record.payload, {
+        requestId,
+        idempotencyKey: record.idempotencyKey,
+        deadline,
+        queueOnFailure: false
+    });
+}
+
+/**
+ * Async-events consumer for the worklog retry queue.
+ * Runs the queued operation again; retryable failures are rescheduled with exponential backoff
+ * until RETRY_MAX_ATTEMPTS is reached, everything else that fails goes to the dead-letter list.
+ */
+export const handler = async (event) => {
+    const deadline = createInvocationDeadline();
+    const retryId = event?.body?.retryId;
+    const key = `${RETRY_KEY_PREFIX}${retryId}`;
+    const record = retryId ? await storage.get(key) : null;
+    if (!record) {
+        console.warn(`[RetryQueue] No pending retry record for '${retryId}'; nothing to do.`);
+        return;
+    }
+
+    record.attempts += 1;
+    const attemptRequestId = `${record.requestId}:retry-${record.attempts}`;
+    console.log(`[RetryQueue] Attempt ${record.attempts} of ${record.operation} ${record.id} (request ${attemptRequestId}).`);
+
+    let result;
+    try {
+        result = await runOperation(record, attemptRequestId, deadline);
+    } catch (error) {
+        // The operations log and return their own failures; this only guards unexpected throws
+        console.error(`[RetryQueue] Unexpected error running ${record.id}:`, error);
+        result = { outputKey: 'error-internal', details: { message: error.message }, retryable: true };
+    }
+
+    if ((OUTPUT_STATUS_CODES[result.outputKey] || 500) < 400) {
+        await storage.delete(key);
+        console.log(`[RetryQueue] ${record.operation} ${record.id} succeeded on attempt ${record.attempts}.`);
+        return;
+    }
+
+    record.lastError = result.details?.message || result.outputKey;
+    if (result.requiresReAuthentication) {
+        // Retrying is pointless until the user reconnects; keep it for replay after that
+        await parkForReconnect({ ...record, error: record.lastError, accountId: result.accountId, issueKey: result.details?.issueKey });
+        await storage.delete(key);
+        return;
+    }
+    // Retried until the `retryMaxAttempts` setting is reached, then moved to the dead-letter list
+    const { retryMaxAttempts } = await getSettings();
+    if (result.retryable && record.attempts < retryMaxAttempts) {
+        await scheduleAttempt(record, result.retryAfterSeconds);
+        return;
+    }
+    await moveToDeadLetters(record, record.lastError);
+};
+
+/**
+ * Keeps an operation that failed because the user's refresh token was rejected, and asks the user
+ * to reconnect. The operation is replayed by replayParkedOperations once they have.
+ * @param {object} operation
+ * @param {string} operation.operation - 'create', 'update' or 'delete'.
+ * @param {Object} operation.payload - The webhook payload to run again.
+ * @param {string} operation.requestId - The request that failed.
+ * @param {string} [operation.idempotencyKey] - The caller's idempotency key (creates only).
+ * @param {string} operation.error - Why the attempt failed.
+ * @param {number} [operation.attempts=0] - Attempts made so far.
+ * @param {string} [operation.accountId] - The account the operation runs as, as the operation resolved it
+ *   (payloads sent by externalEntryId may leave out userId). Defaults to the payload's userId.
+ * @param {string} [operation.issueKey] - The issue, as the operation resolved it. Defaults to the payload's issueKey.
+ * @returns {Promise<{id: string}>} The parked record's ID.
+ */
+export async function parkForReconnect({ operation, payload, requestId, idempotencyKey, error, attempts = 0, accountId: resolvedAccountId, issueKey }) {
+    const now = Date.now();
+    const accountId = resolvedAccountId || payload?.userId || 'Unknown';
+    const record = {
+        id: crypto.randomUUID(),
+        operation,
+        payload,
+        requestId,
+        idempotencyKey: idempotencyKey || null,
+        attempts,
+        lastError: error,
+        createdAt: now,
+        updatedAt: now,
+        nextAttemptAt: null
+    };
+    await storage.set(`${RECONNECT_WAIT_KEY_PREFIX}${accountId}:${String(now).padStart(13, '0')}:${record.id}`, record);
+    console.log(`[RetryQueue] ${operation} ${record.id} kept until ${accountId} reconnects.`);
+
+    try {
+        await notifyReconnectRequired(accountId, issueKey || payload?.issueKey);
+    } catch (notifyError) {
+        console.error(`[RetryQueue] Failed to notify ${accountId} to reconnect:`, notifyError);
+    }
+    return { id: record.id };
+}
+
+async function queryParkedOperations(accountId, cursor) {
+    let query = storage.query()
+        .where('key', startsWith(`${RECONNECT_WAIT_KEY_PREFIX}${accountId}:`))
+        .limit(100);
+    if (cursor) {
+        query = query.cursor(cursor);
+    }
+    return query.getMany();
+}
+
+/**
+ * Counts a user's operations waiting for them to reconnect.
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<number>}
+ */
+export async function countParkedOperations(accountId) {
+    if (!accountId) return 0;
+    let count = 0;
+    let cursor = null;
+    do {
+        const page = await queryParkedOperations(accountId, cursor);
+        count += page.results.length;
+        cursor = page.nextCursor || null;
+    } while (cursor);
+    return count;
+}
+
+/**
+ * Moves a user's parked operations onto the retry queue after they reconnected.
+ * Called by the OAuth callback.
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<number>} How many operations were scheduled.
+ */
+export async function replayParkedOperations(accountId) {
+    let scheduled = 0;
+    let cursor = null;
+    do {
+        const page = await queryParkedOperations(accountId, cursor);
+        cursor = page.nextCursor || null;
+        for (const { key, value } of page.results) {
+            // Schedule before deleting, so a failure in between replays twice rather than never
+            await scheduleAttempt({ ...value, attempts: 0 });
+            await storage.delete(key);
+            scheduled++;
+        }
+    } while (cursor);
+    if (scheduled > 0) {
+        console.log(`[RetryQueue] Scheduled ${scheduled} operation(s) kept for ${accountId} after reconnecting.`);
+    }
+    return scheduled;
+}
+
+/**
+ * Lists operations parked in the dead-letter list.
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor returned by a previous call.
+ * @param {number} [options.limit=25] - Page size (max 100).
+ * @returns {Promise<{deadLetters: Object[], nextCursor: string|null}>}
+ */
+export async function listDeadLetters({ cursor, limit = 25 } = {}) {
+    let query = storage.query()
+        .where('key', startsWith(DEAD_LETTER_KEY_PREFIX))
+        .limit(Math.min(Math.max(Number(limit) || 25, 1), 100));
+    if (cursor) {
+        query = query.cursor(cursor);
+    }
+    const { results, nextCursor } = await query.getMany();
+    return {
+        deadLetters: results.map(({ value }) => value),
+        nextCursor: nextCursor || null
+    };
+}
+
+/**
+ * Reads one dead-letter entry.
+ * @param {string} id - The entry ID.
+ * @returns {Promise<Object>} The entry.
+ * @throws {Error} - If no entry has that ID.
+ */
+export async function getDeadLetter(id) {
+    const deadLetter = id ? await storage.get(`${DEAD_LETTER_KEY_PREFIX}${id}`) : null;
+    if (!deadLetter) {
+        throw new Error(`No dead-letter entry with ID '${id}'.`);
+    }
+    return deadLetter;
+}
+
+/**
+ * Replaces the payload of a dead-letter entry, e.g. to fix an issue key before replaying it.
+ * @param {string} id - The entry ID.
+ * @param {Object} payload - The corrected webhook payload.
+ * @returns {Promise<Object>} The updated entry.
+ */
+export async function updateDeadLetter(id, payload) {
+    if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new Error('Payload must be a JSON object.');
+    }
+    const deadLetter = await getDeadLetter(id);
+    const updated = { ...deadLetter, payload, updatedAt: Date.now() };
+    await storage.set(`${DEAD_LETTER_KEY_PREFIX}${id}`, updated);
+    return updated;
+}
+
+/**
+ * Runs a dead-letter entry again right away. It is removed on success and kept (with the new error) on failure.
+ * @param {string} id - The entry ID.
+ * @returns {Promise<{success: boolean, outputKey: string, details: Object}>}
+ */
+export async function replayDeadLetter(id) {
+    const deadline = createInvocationDeadline();
+    const deadLetter = await getDeadLetter(id);
+    deadLetter.attempts += 1;
+    const result = await runOperation(deadLetter, `${deadLetter.requestId}:replay-${deadLetter.attempts}`, deadline);
+    const success = (OUTPUT_STATUS_CODES[result.outputKey] || 500) < 400;
+    if (success) {
+        await storage.delete(`${DEAD_LETTER_KEY_PREFIX}${id}`);
+    } else {
+        deadLetter.lastError = result.details?.message || result.outputKey;
+        deadLetter.updatedAt = Date.now();
+        await storage.set(`${DEAD_LETTER_KEY_PREFIX}${id}`, deadLetter);
+    }
+    return { success, outputKey: result.outputKey, details: result.details };
+}
+
+/**
+ * Deletes a dead-letter entry without running it.
+ * @param {string} id - The entry ID.
+ */
+export async function discardDeadLetter(id) {
+    const deadLetter = await getDeadLetter(id);
+    await storage.delete(`${DEAD_LETTER_KEY_PREFIX}${id}`);
+    await logAction({
+        actionType: deadLetter.operation,
+        success: false,
+        issueKey: deadLetter.payload?.issueKey || 'Unknown',
+        worklogId: deadLetter.payload?.worklogId,
+        accountId: deadLetter.payload?.userId || 'Unknown',
+        message: `Dead-letter entry ${id} discarded.`,
+        requestId: deadLetter.requestId
+    });
+}
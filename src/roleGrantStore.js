@@ -0,0 +1,69 @@
+import { storage } from '@forge/api';
+import crypto from 'crypto';
+
+const GRANTS_KEY = 'integrationManagerGrants';
+
+export const GRANT_TYPES = ['group', 'account'];
+
+/**
+ * Lists who has been granted the integration manager role, oldest grant first.
+ * @returns {Promise<Array<{id: string, type: 'group'|'account', principalId: string, name: string, grantedBy: string, grantedAt: number}>>}
+ *   `principalId` is the Jira group ID or the Atlassian account ID.
+ */
+export async function listIntegrationManagerGrants() {
+    const grants = await storage.get(GRANTS_KEY);
+    return Array.isArray(grants) ? grants : [];
+}
+
+/**
+ * Grants the integration manager role to a Jira group or a single account.
+ * Granting the same group or account twice returns the existing grant.
+ * @param {Object} grant
+ * @param {'group'|'account'} grant.type
+ * @param {string} grant.principalId - Jira group ID or Atlassian account ID.
+ * @param {string} grant.name - Group name or display name, for the admin panel.
+ * @param {string} grantedBy - Account ID of the admin making the grant.
+ * @returns {Promise<Object>} The grant.
+ * @throws {Error} - If the type or principal is missing or invalid.
+ */
+export async function addIntegrationManagerGrant({ type, principalId, name }, grantedBy) {
+    if (!GRANT_TYPES.includes(type)) {
+        throw new Error(`Unknown grant type '${type}'. Use one of: ${GRANT_TYPES.join(', ')}.`);
+    }
+    if (!principalId) {
+        throw new Error('A group or account is required.');
+    }
+    const grants = await listIntegrationManagerGrants();
+    const existing = grants.find(grant => grant.type === type && grant.principalId === principalId);
+    if (existing) {
+        return existing;
+    }
+    const grant = {
+        id: crypto.randomUUID(),
+        type,
+        principalId,
+        name: name || principalId,
+        grantedBy,
+        grantedAt: Date.now()
+    };
+    await storage.set(GRANTS_KEY, [...grants, grant]);
+    console.log(`[RoleGrantStore] Granted integration manager to ${type} ${principalId}.`);
+    return grant;
+}
+
+/**
+ * Removes one integration manager grant.
+ * @param {string} grantId
+ * @returns {Promise<Object>} The removed grant.
+ * @throws {Error} - If no grant has that ID.
+ */
+export async function removeIntegrationManagerGrant(grantId) {
+    const grants = await listIntegrationManagerGrants();
+    const grant = grants.find(g => g.id === grantId);
+    if (!grant) {
+        throw new Error(`Grant ${grantId} not found.`);
+    }
+    await storage.set(GRANTS_KEY, grants.filter(g => g.id !== grantId));
+    console.log(`[RoleGrantStore] Removed integration manager grant for ${grant.type} ${grant.principalId}.`);
+    return grant;
+}
@@ -0,0 +1,35 @@
+/**
+ * OAuth (3LO) scopes Worklog Handler requests when a user connects.
+ * Stored tokens are checked against this list before every Jira call, so adding a scope here
+ * asks existing users to reconnect (re-consent) instead of failing with 403s.
+ */
+export const REQUIRED_SCOPES = [
+    'read:me',
+    'read:account',
+    'read:jira-user',
+    'read:jira-work',
+    'write:jira-work',
+    'offline_access'
+];
+
+/**
+ * The scope parameter for the authorization URL.
+ * @returns {string} Space-separated scopes.
+ */
+export function getScopeString() {
+    return REQUIRED_SCOPES.join(' ');
+}
+
+/**
+ * Lists the required scopes a stored token was not granted.
+ * Tokens without a recorded scope list are not checked, since there is nothing to compare against.
+ * `offline_access` counts as granted when the token has a refresh token.
+ * @param {Object} tokenData - Stored token data or metadata (`scopes`, and `refreshToken` or `hasRefreshToken`).
+ * @returns {string[]} The missing scopes; empty if the token covers them all.
+ */
+export function getMissingScopes(tokenData) {
+    const granted = Array.isArray(tokenData?.scopes) ? tokenData.scopes : [];
+    if (granted.length === 0) return [];
+    const hasRefreshToken = Boolean(tokenData.refreshToken || tokenData.hasRefreshToken);
+    return REQUIRED_SCOPES.filter(scope => !granted.includes(scope) && !(scope === 'offline_access' && hasRefreshToken));
+}
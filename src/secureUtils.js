@@ -1,48 +1,273 @@
-import { storage } from '@forge/api';
+import { storage, startsWith } from '@forge/api';
+import { kvs } from '@forge/kvs';
+import crypto from 'crypto';
+import { getActiveSharedSecrets, recordSharedSecretUse } from './sharedSecretStore';
+import { getSetting } from './settingsStore';
+
+const AUTH_MODES_STORAGE_KEY = 'webhookAuthModes';
+const NONCE_KEY_PREFIX = 'signature_nonce:';
+const NONCE_PRUNE_TIME_BUDGET_MS = 20 * 1000;
 
 /**
- * Validates the incoming Zapier secret header against the secret stored in Forge storage.
- * Throws an error if validation fails or if the secret is not configured.
+ * Webhook endpoints ("integrations") whose authentication mode can be switched independently.
+ */
+export const WEBHOOK_INTEGRATIONS = ['event', 'batch', 'create', 'update', 'delete'];
+
+/**
+ * 'legacy': static x-zapier-secret header. 'signed': HMAC-SHA256 signature with timestamp.
+ */
+export const WEBHOOK_AUTH_MODES = ['legacy', 'signed'];
+
+/**
+ * Reads a request header case-insensitively.
+ * Web trigger headers arrive as arrays of values; the first value is returned.
  * @param {Object} headers - The request headers object.
- * @throws {Error} - If validation fails or secret is missing/not configured.
+ * @param {string} name - The header name, in any case.
+ * @returns {string|undefined} The header value, if present.
  */
-export async function validateZapierSecret(headers) {
-    // Extract header, checking both cases
-    const headerValue = headers && (headers['x-zapier-secret'] || headers['X-Zapier-Secret']);
-    // Handle header value potentially being an array
-    const receivedSecretRaw = Array.isArray(headerValue) ? headerValue[0] : headerValue;
-    
-    const storageKey = 'zapierSharedSecret';
+export function getHeaderValue(headers, name) {
+    if (!headers) return undefined;
+    const wanted = name.toLowerCase();
+    const key = Object.keys(headers).find(k => k.toLowerCase() === wanted);
+    const value = key !== undefined ? headers[key] : undefined;
+    return Array.isArray(value) ? value[0] : value;
+}
 
-    console.log(`Validating Zapier secret using storage key: ${storageKey}...`);
+/**
+ * Compares two strings in constant time.
+ * Both values are hashed first so inputs of different lengths don't leak through an early return.
+ * @returns {boolean} True if the strings are equal.
+ */
+export function safeEqual(a, b) {
+    const digestA = crypto.createHash('sha256').update(String(a)).digest();
+    const digestB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(digestA, digestB);
+}
 
-    let expectedSecretRaw;
+/**
+ * Reads the active shared secrets (current and still in their rotation grace period).
+ * @returns {Promise<Array<Object>>} Secret records, newest first.
+ * @throws {Error} - If the secrets cannot be read or none is configured.
+ */
+async function getSharedSecrets() {
+    let secrets;
     try {
-        expectedSecretRaw = await storage.getSecret(storageKey);
+        secrets = await getActiveSharedSecrets();
     } catch (e) {
-        console.error(`Error retrieving secret from storage key '${storageKey}':`, e);
+        console.error("Error retrieving shared secrets from storage:", e);
         throw new Error("Server configuration error: Could not retrieve shared secret.");
     }
 
-    if (expectedSecretRaw === null || expectedSecretRaw === undefined) { // Check specifically for null/undefined from storage
-        console.error(`Request validation failed: Shared secret is not configured in Forge storage (key: '${storageKey}').`);
+    if (secrets.length === 0) {
+        console.error("Request validation failed: No active shared secret is configured in Forge storage.");
         throw new Error("Secret validation failed: Shared secret not configured.");
     }
+    return secrets;
+}
+
+/**
+ * Records which secret authenticated a request. Failures are logged, never thrown,
+ * so bookkeeping cannot reject an otherwise valid request.
+ * @param {Object} secret - The matching secret record.
+ * @returns {Promise<{id: string, label: string}>} The matched secret, without its value.
+ */
+async function recordMatch(secret) {
+    console.log(`Request authenticated with secret '${secret.label}' (${secret.id}).`);
+    try {
+        await recordSharedSecretUse(secret.id);
+    } catch (e) {
+        console.error(`Failed to record use of secret ${secret.id}:`, e);
+    }
+    return { id: secret.id, label: secret.label };
+}
+
+/**
+ * Validates the incoming Zapier secret header against the active secrets stored in Forge storage.
+ * Any active secret is accepted, so the previous secret keeps working during a rotation.
+ * Throws an error if validation fails or if no secret is configured.
+ * @param {Object} headers - The request headers object.
+ * @returns {Promise<{id: string, label: string}>} The secret that matched.
+ * @throws {Error} - If validation fails or secret is missing/not configured.
+ */
+export async function validateZapierSecret(headers) {
+    // Extract header (case-insensitive, first value if an array)
+    const receivedSecretRaw = getHeaderValue(headers, 'x-zapier-secret');
+
+    console.log('Validating Zapier secret...');
+    const secrets = await getSharedSecrets();
 
     if (receivedSecretRaw === null || receivedSecretRaw === undefined || receivedSecretRaw === '') { // Check for missing or empty header
         console.error("Request validation failed: Missing or empty x-zapier-secret header.");
         throw new Error("Missing required secret header.");
     }
 
-    // Ensure both are strings before trimming (getSecret should return string or null)
     const receivedSecret = String(receivedSecretRaw).trim();
-    const expectedSecret = String(expectedSecretRaw).trim();
 
-    // Compare trimmed secrets
-    if (receivedSecret !== expectedSecret) {
+    // Compare trimmed secrets in constant time
+    const match = secrets.find(secret => safeEqual(receivedSecret, String(secret.value).trim()));
+    if (!match) {
         console.error("Request validation failed: Invalid x-zapier-secret provided (Mismatch after trimming).");
         throw new Error("Invalid secret.");
     }
 
     console.log("Zapier secret validation successful.");
-} 
\ No newline at end of file
+    return recordMatch(match);
+}
+
+
+/**
+ * Computes the request signature: hex HMAC-SHA256 of `<timestamp>.<raw body>` keyed with the shared secret.
+ * @param {string} secret - The shared secret.
+ * @param {string} timestamp - The X-Signature-Timestamp header value (Unix seconds).
+ * @param {string} rawBody - The request body exactly as sent.
+ * @returns {string} The hex digest.
+ */
+export function computeSignature(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+/**
+ * Validates an HMAC-signed webhook request.
+ * Expects `X-Signature` (hex digest, optionally prefixed with `sha256=`) and `X-Signature-Timestamp` (Unix seconds).
+ * Each signature is accepted once: it is remembered until it falls outside the clock-skew window,
+ * so a captured request cannot be replayed.
+ * @param {Object} req - The web trigger request (headers and raw body).
+ * @returns {Promise<{id: string, label: string}>} The secret that produced the signature.
+ * @throws {Error} - If the signature is missing, stale, invalid or already used.
+ */
+export async function validateSignedRequest(req) {
+    const headers = req?.headers;
+    const signatureHeader = getHeaderValue(headers, 'x-signature');
+    const timestampHeader = getHeaderValue(headers, 'x-signature-timestamp');
+
+    console.log('Validating signed webhook request...');
+
+    if (!signatureHeader || !timestampHeader) {
+        console.error("Request validation failed: Missing X-Signature or X-Signature-Timestamp header.");
+        throw new Error("Missing required signature headers.");
+    }
+
+    const timestamp = String(timestampHeader).trim();
+    const timestampSeconds = Number(timestamp);
+    const toleranceSeconds = await getSetting('signatureToleranceSeconds');
+    const nowSeconds = Math.floor(Date.now() / 1000);
+    if (!Number.isFinite(timestampSeconds) || Math.abs(nowSeconds - timestampSeconds) > toleranceSeconds) {
+        console.error(`Request validation failed: Signature timestamp ${timestamp} is outside the ${toleranceSeconds}s window.`);
+        throw new Error("Invalid signature timestamp: request is too old or from the future.");
+    }
+
+    const secrets = await getSharedSecrets();
+    const rawBody = typeof req.body === 'string' ? req.body : JSON.stringify(req.body ?? '');
+    const receivedSignature = String(signatureHeader).trim().replace(/^sha256=/i, '').toLowerCase();
+
+    // Any active secret may have signed the request (rotation grace period)
+    const match = secrets.find(secret =>
+        safeEqual(receivedSignature, computeSignature(String(secret.value).trim(), timestamp, rawBody))
+    );
+    if (!match) {
+        console.error("Request validation failed: Signature mismatch.");
+        throw new Error("Invalid signature.");
+    }
+
+    // Replay protection: a valid signature may only be used once within the window. The nonce is written
+    // conditionally, so of two copies of a request arriving together exactly one is accepted.
+    const nonceKey = `${NONCE_KEY_PREFIX}${receivedSignature}`;
+    const expiresAt = (timestampSeconds + toleranceSeconds) * 1000;
+    try {
+        await kvs.set(nonceKey, { seenAt: Date.now(), expiresAt }, {
+            keyPolicy: 'FAIL_IF_EXISTS',
+            ttl: { value: Math.max(Math.ceil((expiresAt - Date.now()) / 1000), 1), unit: 'SECONDS' }
+        });
+    } catch (error) {
+        if (await kvs.get(nonceKey) === undefined) {
+            throw error;
+        }
+        console.error("Request validation failed: Signature has already been used (replay).");
+        throw new Error("Replayed request rejected: signature already used.");
+    }
+
+    console.log("Signed webhook request validation successful.");
+    return recordMatch(match);
+}
+
+/**
+ * Deletes remembered signatures whose window has passed.
+ * New nonces expire through their TTL; this removes the ones the TTL has not caught yet and those
+ * written before nonces had one. Runs from the daily `signature-nonce-cleanup` scheduled trigger and
+ * stops early if it runs out of time; the rest is deleted on the next run.
+ */
+export async function pruneSignatureNonces() {
+    const startedAt = Date.now();
+    let deleted = 0;
+    let cursor = null;
+
+    try {
+        do {
+            let query = storage.query()
+                .where('key', startsWith(NONCE_KEY_PREFIX))
+                .limit(100);
+            if (cursor) {
+                query = query.cursor(cursor);
+            }
+            const page = await query.getMany();
+            cursor = page.nextCursor || null;
+
+            for (const { key, value } of page.results) {
+                if (!(value?.expiresAt > startedAt)) {
+                    await storage.delete(key);
+                    deleted++;
+                }
+            }
+        } while (cursor && Date.now() - startedAt < NONCE_PRUNE_TIME_BUDGET_MS);
+
+        console.log(`[SecureUtils] Nonce cleanup finished: deleted ${deleted}${cursor ? ' (time budget reached, continuing next run)' : ''}.`);
+    } catch (error) {
+        console.error('[SecureUtils] Nonce cleanup failed:', error);
+    }
+}
+
+/**
+ * Returns the authentication mode configured for each webhook integration.
+ * @returns {Promise<Object<string, string>>} e.g. `{ event: 'signed', create: 'legacy', ... }`.
+ */
+export async function getWebhookAuthModes() {
+    const stored = await storage.get(AUTH_MODES_STORAGE_KEY) || {};
+    return Object.fromEntries(WEBHOOK_INTEGRATIONS.map(integration => [
+        integration,
+        WEBHOOK_AUTH_MODES.includes(stored[integration]) ? stored[integration] : 'legacy'
+    ]));
+}
+
+/**
+ * Switches one webhook integration between the legacy header and signed mode.
+ * @param {string} integration - One of WEBHOOK_INTEGRATIONS.
+ * @param {string} mode - One of WEBHOOK_AUTH_MODES.
+ * @returns {Promise<Object<string, string>>} The updated modes.
+ */
+export async function setWebhookAuthMode(integration, mode) {
+    if (!WEBHOOK_INTEGRATIONS.includes(integration)) {
+        throw new Error(`Unknown webhook integration '${integration}'.`);
+    }
+    if (!WEBHOOK_AUTH_MODES.includes(mode)) {
+        throw new Error(`Unknown authentication mode '${mode}'.`);
+    }
+    const modes = await getWebhookAuthModes();
+    modes[integration] = mode;
+    await storage.set(AUTH_MODES_STORAGE_KEY, modes);
+    return modes;
+}
+
+/**
+ * Authenticates a webhook request using the mode configured for its integration.
+ * @param {Object} req - The web trigger request.
+ * @param {string} integration - One of WEBHOOK_INTEGRATIONS.
+ * @returns {Promise<{id: string, label: string}>} The secret that matched.
+ * @throws {Error} - If authentication fails.
+ */
+export async function validateWebhookRequest(req, integration) {
+    const modes = await getWebhookAuthModes();
+    if (modes[integration] === 'signed') {
+        return validateSignedRequest(req);
+    }
+    return validateZapierSecret(req?.headers);
+}
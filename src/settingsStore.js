@@ -0,0 +1,330 @@
+import { storage } from '@forge/api';
+
+const SETTINGS_KEY = 'appSettings';
+// Bump when a setting is renamed or changes meaning, and migrate stored values in loadRecord
+const SETTINGS_SCHEMA_VERSION = 1;
+// Settings are read on most webhook calls; a warm invocation reuses them for this long
+const CACHE_TTL_MS = 30 * 1000;
+
+// Jira's default limit is 10 characters, but site admins can raise it, so only the shape is checked
+const PROJECT_KEY_PATTERN = /^[A-Z][A-Z0-9_]+$/;
+const MAX_NAME_LIST_LENGTH = 50;
+const MAX_NAME_LENGTH = 255;
+const WORKLOG_OPERATIONS = ['create', 'update', 'delete'];
+
+/**
+ * Every admin setting with its type, bounds and default.
+ * Settings that used to be Forge variables (`env`) take their default from that variable, so existing
+ * installations keep their configuration until the settings are first saved from the admin page.
+ */
+export const SETTINGS_SCHEMA = {
+    actionLogRetentionDays: {
+        group: 'Retention', label: 'Action log retention (days)', type: 'integer', min: 1, max: 3650, default: 30,
+        env: 'ACTION_LOG_RETENTION_DAYS', description: 'Action-log entries older than this are deleted daily.'
+    },
+    actionLogMaxEntries: {
+        group: 'Retention', label: 'Action log maximum entries', type: 'integer', min: 100, max: 100000, default: 5000,
+        env: 'ACTION_LOG_MAX_ENTRIES', description: 'Only this many of the newest action-log entries are kept.'
+    },
+    auditLogRetentionDays: {
+        group: 'Retention', label: 'Audit log retention (days)', type: 'integer', min: 30, max: 3650, default: 365,
+        env: 'AUDIT_LOG_RETENTION_DAYS', description: 'Audit entries older than this are deleted daily.'
+    },
+    retryMaxAttempts: {
+        group: 'Retries', label: 'Background retry attempts', type: 'integer', min: 1, max: 20, default: 5,
+        env: 'RETRY_MAX_ATTEMPTS', description: 'Background attempts before an operation is moved to Failed Operations.'
+    },
+    retryBaseDelaySeconds: {
+        group: 'Retries', label: 'First retry delay (seconds)', type: 'integer', min: 10, max: 900, default: 60,
+        env: 'RETRY_BASE_DELAY_SECONDS', description: 'Delay before the first background retry; doubles each attempt, up to 15 minutes.'
+    },
+    jiraRetryMaxAttempts: {
+        group: 'Retries', label: 'In-request Jira attempts', type: 'integer', min: 1, max: 10, default: 4,
+        env: 'JIRA_RETRY_MAX_ATTEMPTS', description: 'Attempts one webhook call makes when Jira returns 429 or 5xx.'
+    },
+    jiraRetryTimeBudgetSeconds: {
+        group: 'Retries', label: 'In-request retry time budget (seconds)', type: 'integer', min: 0, max: 20, default: 10,
+        env: 'JIRA_RETRY_TIME_BUDGET_SECONDS', description: 'Time one webhook call may spend on those retries before queueing them.'
+    },
+    tokenExpiryBufferSeconds: {
+        group: 'Tokens', label: 'Token expiry buffer (seconds)', type: 'integer', min: 0, max: 600, default: 60,
+        description: 'Access tokens this close to expiry are refreshed before use.'
+    },
+    tokenRefreshIdleDays: {
+        group: 'Tokens', label: 'Refresh idle tokens after (days)', type: 'integer', min: 1, max: 60, default: 7,
+        env: 'TOKEN_REFRESH_IDLE_DAYS', description: 'The daily job refreshes connections that have not been refreshed for this long.'
+    },
+    allowedProjects: {
+        group: 'Worklog rules', label: 'Allowed projects', type: 'projectKeys', default: [],
+        description: 'Project keys webhooks may change worklogs in. Leave empty to allow every project.'
+    },
+    deniedProjects: {
+        group: 'Worklog rules', label: 'Denied projects', type: 'projectKeys', default: [],
+        description: 'Project keys webhooks may never change worklogs in, e.g. HR. Takes precedence over allowed projects.'
+    },
+    allowedIssueTypes: {
+        group: 'Worklog rules', label: 'Allowed issue types', type: 'names', default: [],
+        description: 'Issue type names webhooks may change worklogs on. Leave empty to allow every type.'
+    },
+    deniedIssueTypes: {
+        group: 'Worklog rules', label: 'Denied issue types', type: 'names', default: [],
+        description: 'Issue type names webhooks may never change worklogs on.'
+    },
+    allowedStatuses: {
+        group: 'Worklog rules', label: 'Allowed statuses', type: 'names', default: [],
+        description: 'Issue statuses in which webhooks may change worklogs. Leave empty to allow every status.'
+    },
+    deniedStatuses: {
+        group: 'Worklog rules', label: 'Denied statuses', type: 'names', default: [],
+        description: 'Issue statuses in which webhooks may never change worklogs, e.g. Done.'
+    },
+    idempotencyWindowMinutes: {
+        group: 'Duplicates', label: 'Idempotency window (minutes)', type: 'integer', min: 1, max: 10080, default: 1440,
+        env: 'IDEMPOTENCY_WINDOW_MINUTES', description: 'How long a processed Idempotency-Key or externalEntryId is remembered.'
+    },
+    duplicateWindowMinutes: {
+        group: 'Duplicates', label: 'Near-duplicate window (minutes)', type: 'integer', min: 1, max: 1440, default: 10,
+        env: 'DUPLICATE_WINDOW_MINUTES', description: 'Identical creates this close together count as near-duplicates.'
+    },
+    duplicateCreateMode: {
+        group: 'Duplicates', label: 'Near-duplicate creates', type: 'enum', options: ['off', 'flag', 'reject'], default: 'flag',
+        env: 'DUPLICATE_CREATE_MODE', description: 'Whether near-duplicate creates are ignored, flagged in the response or rejected.'
+    },
+    signatureToleranceSeconds: {
+        group: 'Webhooks', label: 'Signature clock tolerance (seconds)', type: 'integer', min: 30, max: 3600, default: 300,
+        env: 'SIGNATURE_TOLERANCE_SECONDS', description: 'Signed requests whose timestamp is further off than this are rejected.'
+    },
+    secretRotationGraceHours: {
+        group: 'Webhooks', label: 'Secret rotation grace period (hours)', type: 'integer', min: 0, max: 720, default: 24,
+        env: 'SECRET_ROTATION_GRACE_HOURS', description: 'How long a replaced shared secret keeps working; 0 ends it immediately.'
+    },
+    worklogEventAliases: {
+        group: 'Webhooks', label: 'Extra event names', type: 'eventAliases', default: [],
+        env: 'WORKLOG_EVENT_ALIASES', description: 'Extra event=operation pairs for the event routing webhook, where operation is create, update or delete.'
+    },
+    oauthStateTtlMinutes: {
+        group: 'Tokens', label: 'Login link lifetime (minutes)', type: 'integer', min: 1, max: 60, default: 10,
+        env: 'OAUTH_STATE_TTL_MINUTES', description: 'How long a "Connect to Jira" link stays valid.'
+    },
+    timeRoundingMode: {
+        group: 'Worklogs', label: 'Time rounding', type: 'enum', options: ['none', 'up', 'down', 'nearest'], default: 'none',
+        description: 'How logged durations are rounded before they are sent to Jira.'
+    },
+    timeRoundingMinutes: {
+        group: 'Worklogs', label: 'Rounding increment (minutes)', type: 'integer', min: 1, max: 60, default: 15,
+        description: 'Durations are rounded to a multiple of this; never below one increment.'
+    }
+};
+
+let cache = null;
+
+/**
+ * Checks and normalizes one setting value.
+ * @param {string} name - A key of SETTINGS_SCHEMA.
+ * @param {*} value - The value to check.
+ * @returns {*} The normalized value.
+ * @throws {Error} - If the setting is unknown or the value is invalid.
+ */
+export function validateSetting(name, value) {
+    const definition = SETTINGS_SCHEMA[name];
+    if (!definition) {
+        throw new Error(`Unknown setting '${name}'.`);
+    }
+    switch (definition.type) {
+        case 'integer': {
+            const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+            if (!Number.isInteger(number) || number < definition.min || number > definition.max) {
+                throw new Error(`${definition.label} must be a whole number from ${definition.min} to ${definition.max}.`);
+            }
+            return number;
+        }
+        case 'enum': {
+            const option = typeof value === 'string' ? value.trim().toLowerCase() : value;
+            if (!definition.options.includes(option)) {
+                throw new Error(`${definition.label} must be one of: ${definition.options.join(', ')}.`);
+            }
+            return option;
+        }
+        case 'projectKeys': {
+            const keys = (Array.isArray(value) ? value : String(value ?? '').split(','))
+                .map(key => String(key).trim().toUpperCase())
+                .filter(Boolean);
+            const invalid = keys.filter(key => !PROJECT_KEY_PATTERN.test(key));
+            if (invalid.length > 0) {
+                throw new Error(`${definition.label}: '${invalid.join("', '")}' ${invalid.length === 1 ? 'is not a' : 'are not'} valid project key${invalid.length === 1 ? '' : 's'}.`);
+            }
+            return [...new Set(keys)];
+        }
+        case 'names': {
+            const names = (Array.isArray(value) ? value : String(value ?? '').split(','))
+                .map(name => String(name).trim())
+                .filter(Boolean);
+            if (names.length > MAX_NAME_LIST_LENGTH || names.some(name => name.length > MAX_NAME_LENGTH)) {
+                throw new Error(`${definition.label} can hold at most ${MAX_NAME_LIST_LENGTH} names of up to ${MAX_NAME_LENGTH} characters.`);
+            }
+            // Names are compared case-insensitively, so keep one spelling of each
+            return names.filter((name, index) => names.findIndex(other => other.toLowerCase() === name.toLowerCase()) === index);
+        }
+        case 'eventAliases': {
+            const pairs = (Array.isArray(value) ? value : String(value ?? '').split(','))
+                .map(pair => String(pair).trim().toLowerCase())
+                .filter(Boolean);
+            const invalid = pairs.filter(pair => {
+                const [event, operation, ...rest] = pair.split('=').map(part => part.trim());
+                return !event || !WORKLOG_OPERATIONS.includes(operation) || rest.length > 0;
+            });
+            if (invalid.length > 0) {
+                throw new Error(`${definition.label}: '${invalid.join("', '")}' must be event=operation, where operation is ${WORKLOG_OPERATIONS.join(', ')}.`);
+            }
+            if (pairs.length > MAX_NAME_LIST_LENGTH) {
+                throw new Error(`${definition.label} can hold at most ${MAX_NAME_LIST_LENGTH} pairs.`);
+            }
+            return [...new Set(pairs.map(pair => pair.split('=').map(part => part.trim()).join('=')))];
+        }
+        default:
+            throw new Error(`Setting '${name}' has an unsupported type.`);
+    }
+}
+
+/**
+ * The value a setting has until it is saved: its Forge variable if that holds a valid value, otherwise the built-in default.
+ */
+function getDefaultValue(name) {
+    const definition = SETTINGS_SCHEMA[name];
+    const raw = definition.env ? process.env[definition.env] : undefined;
+    if (raw !== undefined && raw !== '') {
+        try {
+            return validateSetting(name, raw);
+        } catch (error) {
+            console.warn(`[SettingsStore] Ignoring Forge variable ${definition.env}: ${error.message}`);
+        }
+    }
+    return definition.default;
+}
+
+function getDefaults() {
+    return Object.fromEntries(Object.keys(SETTINGS_SCHEMA).map(name => [name, getDefaultValue(name)]));
+}
+
+/**
+ * Loads the stored settings record. Stored values that no longer validate are dropped in favour of the default.
+ * @returns {Promise<{schemaVersion: number, revision: number, updatedAt: number|null, updatedBy: string|null, values: Object}>}
+ */
+async function loadRecord() {
+    const stored = await storage.get(SETTINGS_KEY);
+    const values = {};
+    for (const [name, value] of Object.entries(stored?.values || {})) {
+        try {
+            values[name] = validateSetting(name, value);
+        } catch (error) {
+            console.warn(`[SettingsStore] Ignoring stored setting: ${error.message}`);
+        }
+    }
+    return {
+        schemaVersion: stored?.schemaVersion || SETTINGS_SCHEMA_VERSION,
+        revision: stored?.revision || 0,
+        updatedAt: stored?.updatedAt || null,
+        updatedBy: stored?.updatedBy || null,
+        values
+    };
+}
+
+/**
+ * Returns every setting's current value (stored value, else default).
+ * @returns {Promise<Object>} Values keyed by setting name.
+ */
+export async function getSettings() {
+    if (cache && Date.now() - cache.loadedAt < CACHE_TTL_MS) {
+        return cache.settings;
+    }
+    const record = await loadRecord();
+    const settings = { ...getDefaults(), ...record.values };
+    cache = { settings, loadedAt: Date.now() };
+    return settings;
+}
+
+/**
+ * Returns one setting's current value.
+ * @param {string} name - A key of SETTINGS_SCHEMA.
+ * @returns {Promise<*>}
+ */
+export async function getSetting(name) {
+    return (await getSettings())[name];
+}
+
+/**
+ * Describes the settings for the admin page: values, defaults, the schema and the current revision.
+ * @returns {Promise<Object>}
+ */
+export async function describeSettings() {
+    const record = await loadRecord();
+    const defaults = getDefaults();
+    return {
+        schemaVersion: SETTINGS_SCHEMA_VERSION,
+        revision: record.revision,
+        updatedAt: record.updatedAt,
+        updatedBy: record.updatedBy,
+        values: { ...defaults, ...record.values },
+        defaults,
+        schema: Object.entries(SETTINGS_SCHEMA).map(([name, definition]) => ({ name, ...definition }))
+    };
+}
+
+/**
+ * Changes some settings. All values are validated before anything is saved.
+ * @param {Object} changes - New values keyed by setting name.
+ * @param {object} options
+ * @param {number} [options.expectedRevision] - The revision the change is based on; a different stored revision is rejected.
+ * @param {string} options.updatedBy - Account ID of the admin saving the settings.
+ * @returns {Promise<{before: Object, after: Object, settings: Object}>} Old and new values of the settings that changed,
+ *   and the updated description (see describeSettings).
+ * @throws {Error} - `fieldErrors` is set when values are invalid; `conflict` is set when the settings changed in the meantime.
+ */
+export async function updateSettings(changes, { expectedRevision, updatedBy }) {
+    const fieldErrors = {};
+    const normalized = {};
+    for (const [name, value] of Object.entries(changes || {})) {
+        try {
+            normalized[name] = validateSetting(name, value);
+        } catch (error) {
+            fieldErrors[name] = error.message;
+        }
+    }
+    if (Object.keys(fieldErrors).length > 0) {
+        const validationError = new Error(Object.values(fieldErrors).join(' '));
+        validationError.fieldErrors = fieldErrors;
+        throw validationError;
+    }
+
+    const record = await loadRecord();
+    if (expectedRevision !== undefined && expectedRevision !== null && expectedRevision !== record.revision) {
+        const conflictError = new Error('The settings were changed by someone else. Reload them and try again.');
+        conflictError.conflict = true;
+        throw conflictError;
+    }
+
+    const current = { ...getDefaults(), ...record.values };
+    const before = {};
+    const after = {};
+    for (const [name, value] of Object.entries(normalized)) {
+        if (JSON.stringify(current[name]) !== JSON.stringify(value)) {
+            before[name] = current[name];
+            after[name] = value;
+        }
+    }
+
+    if (Object.keys(after).length > 0) {
+        await storage.set(SETTINGS_KEY, {
+            schemaVersion: SETTINGS_SCHEMA_VERSION,
+            revision: record.revision + 1,
+            updatedAt: Date.now(),
+            updatedBy,
+            // Every value is saved, so later changes to Forge variables no longer apply
+            values: { ...current, ...after }
+        });
+        cache = null;
+        console.log(`[SettingsStore] Settings updated by ${updatedBy}: ${Object.keys(after).join(', ')}.`);
+    }
+
+    return { before, after, settings: await describeSettings() };
+}
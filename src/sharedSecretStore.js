@@ -0,0 +1,228 @@
+import { storage } from '@forge/api';
+import { kvs } from '@forge/kvs';
+import crypto from 'crypto';
+import { getSetting } from './settingsStore';
+
+const SECRETS_KEY = 'zapierSharedSecrets';
+const LEGACY_SECRET_KEY = 'zapierSharedSecret';
+// Plain-storage secret written by the old "setNewSecret" resolver; it never authenticated anything
+const UNUSED_PLAIN_SECRET_KEY = 'zapier-secret';
+// Last-used times live outside the secret list so a webhook call can never overwrite a concurrent rotation
+const SECRET_USAGE_KEY_PREFIX = 'zapier_secret_usage:';
+// Held while the secret list is changed; the TTL frees it if the holder crashes
+const SECRETS_LOCK_KEY = 'zapierSharedSecretsLock';
+const SECRETS_LOCK_TTL_SECONDS = 10;
+// Revoked and expired secrets stay listed in the admin panel this long, then the next rotation drops them
+const INACTIVE_SECRET_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * How long a replaced secret keeps working after "Regenerate Secret" (the secretRotationGraceHours setting).
+ */
+async function getRotationGraceMs() {
+    return (await getSetting('secretRotationGraceHours')) * 60 * 60 * 1000;
+}
+
+/**
+ * Generates a cryptographically secure, URL-safe secret value.
+ * @param {number} length - The desired length of the string.
+ * @returns {string}
+ */
+function generateSecretValue(length = 32) {
+    return crypto.randomBytes(Math.ceil(length * 3 / 4))
+        .toString('base64')
+        .slice(0, length)
+        .replace(/\+/g, '0')
+        .replace(/\//g, '_');
+}
+
+function isActive(secret, now = Date.now()) {
+    return !secret.revokedAt && (!secret.expiresAt || secret.expiresAt > now);
+}
+
+function isRetained(secret, now) {
+    return isActive(secret, now) || (secret.revokedAt || secret.expiresAt) > now - INACTIVE_SECRET_RETENTION_MS;
+}
+
+/**
+ * Loads the list of shared secrets from secret storage.
+ * A secret saved by earlier versions (single `zapierSharedSecret` value) is migrated into the list on first read.
+ * @returns {Promise<Array<{id: string, label: string, value: string, createdAt: number|null, expiresAt: number|null, revokedAt: number|null}>>}
+ */
+async function loadSecrets() {
+    const secrets = await storage.getSecret(SECRETS_KEY);
+    if (Array.isArray(secrets)) return secrets;
+
+    const legacySecret = await storage.getSecret(LEGACY_SECRET_KEY);
+    if (legacySecret === null || legacySecret === undefined || String(legacySecret).trim() === '') {
+        return [];
+    }
+    const migrated = [{
+        id: crypto.randomUUID(),
+        label: 'Original secret',
+        value: String(legacySecret).trim(),
+        createdAt: null, // Not recorded by the old format
+        expiresAt: null,
+        revokedAt: null
+    }];
+    await storage.setSecret(SECRETS_KEY, migrated);
+    await storage.deleteSecret(LEGACY_SECRET_KEY);
+    console.log(`[SharedSecretStore] Migrated legacy '${LEGACY_SECRET_KEY}' into the secret list.`);
+    return migrated;
+}
+
+/**
+ * Changes the secret list while holding a lock, so two admins rotating or revoking at once
+ * cannot overwrite each other's change. The lock is taken with a conditional write (`FAIL_IF_EXISTS`).
+ * @param {function(Array<Object>): (Array<Object>|null)} change - Gets the current list and returns the list to save,
+ *   or null if nothing changed.
+ * @throws {Error} - If another change is in progress, or whatever `change` throws.
+ */
+async function changeSecrets(change) {
+    const owner = crypto.randomUUID();
+    try {
+        await kvs.set(SECRETS_LOCK_KEY, { owner, acquiredAt: Date.now() }, {
+            keyPolicy: 'FAIL_IF_EXISTS',
+            ttl: { value: SECRETS_LOCK_TTL_SECONDS, unit: 'SECONDS' }
+        });
+    } catch (error) {
+        // The write is refused while someone holds the lock; anything else is a real failure
+        if (await kvs.get(SECRETS_LOCK_KEY) !== undefined) {
+            throw new Error('Another admin is changing the shared secrets right now. Try again in a few seconds.');
+        }
+        throw error;
+    }
+
+    try {
+        const updated = change(await loadSecrets());
+        if (updated) {
+            await storage.setSecret(SECRETS_KEY, updated);
+        }
+    } finally {
+        try {
+            if ((await kvs.get(SECRETS_LOCK_KEY))?.owner === owner) {
+                await kvs.delete(SECRETS_LOCK_KEY);
+            }
+        } catch (releaseError) {
+            console.error('[SharedSecretStore] Failed to release the secret list lock:', releaseError);
+        }
+    }
+}
+
+/**
+ * Deletes the plain-storage secret of earlier versions, which webhooks never checked.
+ * Runs from the app upgrade lifecycle trigger (`legacy-secret-cleanup`); it does nothing once the key is gone.
+ */
+export async function deleteUnusedPlainSecret() {
+    if (await storage.get(UNUSED_PLAIN_SECRET_KEY) === undefined) return;
+    await storage.delete(UNUSED_PLAIN_SECRET_KEY);
+    console.log(`[SharedSecretStore] Deleted the unused '${UNUSED_PLAIN_SECRET_KEY}' value.`);
+}
+
+/**
+ * Returns the secrets that currently authenticate webhook requests, newest first.
+ * @returns {Promise<Array<Object>>} Secret records including their values.
+ */
+export async function getActiveSharedSecrets() {
+    const now = Date.now();
+    const secrets = await loadSecrets();
+    return secrets.filter(secret => isActive(secret, now)).reverse();
+}
+
+/**
+ * Returns the newest active secret value, or null if none is configured.
+ * @returns {Promise<string|null>}
+ */
+export async function getCurrentSharedSecret() {
+    const [current] = await getActiveSharedSecrets();
+    return current ? current.value : null;
+}
+
+/**
+ * Lists all secrets for the admin panel, with last-used times and without their values.
+ * @returns {Promise<Array<Object>>} Newest first; each has id, label, status, preview and timestamps.
+ */
+export async function listSharedSecrets() {
+    const now = Date.now();
+    const secrets = await loadSecrets();
+    const summaries = await Promise.all(secrets.map(async secret => ({
+        id: secret.id,
+        label: secret.label,
+        preview: `…${secret.value.slice(-4)}`,
+        createdAt: secret.createdAt,
+        lastUsedAt: await storage.get(`${SECRET_USAGE_KEY_PREFIX}${secret.id}`) || null,
+        expiresAt: secret.expiresAt,
+        revokedAt: secret.revokedAt,
+        status: secret.revokedAt ? 'revoked' : isActive(secret, now) ? 'active' : 'expired'
+    })));
+    return summaries.reverse();
+}
+
+/**
+ * Adds a new secret. Secrets that were active keep working until the rotation grace period ends,
+ * so Zaps can be switched over without downtime. Secrets revoked or expired more than 30 days ago are dropped.
+ * @param {string} [label] - A name to tell the secret apart in the admin panel.
+ * @returns {Promise<{id: string, label: string, value: string}>} The new secret, including its value.
+ */
+export async function rotateSharedSecret(label) {
+    const now = Date.now();
+    const graceEndsAt = now + await getRotationGraceMs();
+    const newSecret = {
+        id: crypto.randomUUID(),
+        label: String(label || '').trim() || `Secret created ${new Date(now).toISOString().slice(0, 10)}`,
+        value: generateSecretValue(32),
+        createdAt: now,
+        expiresAt: null,
+        revokedAt: null
+    };
+    let dropped = [];
+
+    await changeSecrets(secrets => {
+        dropped = secrets.filter(secret => !isRetained(secret, now));
+        const kept = secrets.filter(secret => isRetained(secret, now));
+        kept.forEach(secret => {
+            if (isActive(secret, now) && (!secret.expiresAt || secret.expiresAt > graceEndsAt)) {
+                secret.expiresAt = graceEndsAt;
+            }
+        });
+        return [...kept, newSecret];
+    });
+    console.log(`[SharedSecretStore] Added secret ${newSecret.id} ('${newSecret.label}'); previous secrets expire at ${new Date(graceEndsAt).toISOString()}.`);
+
+    if (dropped.length > 0) {
+        await Promise.all(dropped.map(secret => storage.delete(`${SECRET_USAGE_KEY_PREFIX}${secret.id}`)));
+        console.log(`[SharedSecretStore] Dropped ${dropped.length} secret(s) inactive for more than 30 days.`);
+    }
+    return { id: newSecret.id, label: newSecret.label, value: newSecret.value };
+}
+
+/**
+ * Revokes one secret immediately. The record is kept (without being usable) so the panel can show it.
+ * @param {string} id - The secret ID.
+ * @throws {Error} - If no secret has that ID.
+ */
+export async function revokeSharedSecret(id) {
+    let revoked = null;
+    await changeSecrets(secrets => {
+        const secret = secrets.find(s => s.id === id);
+        if (!secret) {
+            throw new Error(`No secret with ID '${id}'.`);
+        }
+        if (secret.revokedAt) {
+            return null;
+        }
+        secret.revokedAt = Date.now();
+        revoked = secret;
+        return secrets;
+    });
+    if (revoked) {
+        console.log(`[SharedSecretStore] Revoked secret ${id} ('${revoked.label}').`);
+    }
+}
+
+/**
+ * Records that a secret just authenticated a request.
+ * @param {string} id - The secret ID.
+ */
+export async function recordSharedSecretUse(id) {
+    await storage.set(`${SECRET_USAGE_KEY_PREFIX}${id}`, Date.now());
+}
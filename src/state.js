@@ -1,9 +1,107 @@
+import { storage, startsWith } from '@forge/api';
+import crypto from 'crypto';
+import { getSetting } from './settingsStore';
+
+const STATE_KEY_PREFIX = 'oauth_state:';
+
+/**
+ * How long a login link stays valid (the oauthStateTtlMinutes setting).
+ */
+async function getStateTtlMs() {
+  return (await getSetting('oauthStateTtlMinutes')) * 60 * 1000;
+}
+
+/**
+ * Whether to send a PKCE code challenge (S256) with the authorization request.
+ * Enabled with `forge variables:set OAUTH_PKCE_ENABLED true`.
+ */
+export function isPkceEnabled() {
+  return String(process.env.OAUTH_PKCE_ENABLED || '').toLowerCase() === 'true';
+}
+
 /**
  * Generate a secure state parameter for OAuth flow
+ * @returns {string} 256 bits of randomness, base64url encoded.
  */
 export function generateStateParameter() {
-  const timestamp = Date.now().toString(36);
-  // Add a bit more randomness
-  const random = Math.random().toString(36).substring(2, 10) + Math.random().toString(36).substring(2, 10);
-  return `secure-${timestamp}-${random}`;
-} 
\ No newline at end of file
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * Creates and stores the state (and PKCE verifier, if enabled) for one login attempt by `accountId`.
+ * Expired states of all users are cleaned up on the way.
+ * @param {string} accountId - The user starting the login.
+ * @returns {Promise<{state: string, codeChallenge: string|null}>}
+ */
+export async function createOAuthState(accountId) {
+  if (!accountId) {
+    throw new Error('Cannot start a login without a user context.');
+  }
+  await cleanupOldStates();
+
+  const state = generateStateParameter();
+  let codeVerifier = null;
+  let codeChallenge = null;
+  if (isPkceEnabled()) {
+    codeVerifier = crypto.randomBytes(32).toString('base64url');
+    codeChallenge = crypto.createHash('sha256').update(codeVerifier).digest('base64url');
+  }
+
+  const now = Date.now();
+  await storage.set(`${STATE_KEY_PREFIX}${state}`, {
+    accountId,
+    codeVerifier,
+    createdAt: now,
+    expiresAt: now + await getStateTtlMs()
+  });
+  return { state, codeChallenge };
+}
+
+/**
+ * Looks up and deletes the stored state, so each state can be used once.
+ * @param {string} state - The `state` query parameter from the callback.
+ * @returns {Promise<{accountId: string, codeVerifier: string|null}>}
+ * @throws {Error} - With a user-facing message if the state is missing, unknown, already used or expired.
+ */
+export async function consumeOAuthState(state) {
+  if (!state) {
+    throw new Error('The sign-in response is missing its security token. Please start the connection again from Worklog Handler.');
+  }
+  const key = `${STATE_KEY_PREFIX}${state}`;
+  const record = await storage.get(key);
+  if (!record) {
+    throw new Error('This sign-in link is invalid or has already been used. Please start the connection again from Worklog Handler.');
+  }
+  await storage.delete(key);
+  if (record.expiresAt < Date.now()) {
+    throw new Error('This sign-in link has expired. Please start the connection again from Worklog Handler.');
+  }
+  return { accountId: record.accountId, codeVerifier: record.codeVerifier || null };
+}
+
+/**
+ * 🧹 Cleanup old state parameters
+ * Called automatically when generating new login URLs; deletes states past their TTL.
+ */
+export async function cleanupOldStates() {
+  try {
+    const now = Date.now();
+    let cursor = null;
+    do {
+      let query = storage.query().where('key', startsWith(STATE_KEY_PREFIX)).limit(100);
+      if (cursor) {
+        query = query.cursor(cursor);
+      }
+      const page = await query.getMany();
+      cursor = page.nextCursor || null;
+      for (const { key, value } of page.results) {
+        if (!value?.expiresAt || value.expiresAt < now) {
+          await storage.delete(key);
+          console.log(`🧹 Cleaned up expired OAuth state for user: ${value?.accountId || 'unknown'}`);
+        }
+      }
+    } while (cursor);
+  } catch (error) {
+    console.error('❌ Error cleaning up old states:', error);
+  }
+}
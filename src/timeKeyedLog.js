@@ -0,0 +1,131 @@
+import { storage, startsWith } from '@forge/api';
+import crypto from 'crypto';
+
+// Keys sort newest first: the timestamp is stored as (MAX_TIMESTAMP - time), zero-padded
+const MAX_TIMESTAMP = 9999999999999;
+const QUERY_PAGE_SIZE = 100;
+const PRUNE_TIME_BUDGET_MS = 20 * 1000;
+
+/**
+ * Builds the storage key for a log entry written at `time`.
+ * Every entry has its own key, so concurrent writers never overwrite each other's entries.
+ * @param {string} prefix - The log's key prefix, e.g. 'action_log:'.
+ * @param {number} time - Epoch milliseconds.
+ * @returns {string} e.g. `action_log:8269412345678:3f9a1c2e`.
+ */
+export function entryKey(prefix, time) {
+    const inverted = String(MAX_TIMESTAMP - time).padStart(13, '0');
+    return `${prefix}${inverted}:${crypto.randomBytes(4).toString('hex')}`;
+}
+
+/**
+ * Reads a timestamp filter or entry timestamp.
+ * @param {string|number} [value] - An ISO string or epoch milliseconds.
+ * @param {number} fallback - Returned when the value is missing or unreadable.
+ * @returns {number} Epoch milliseconds.
+ */
+export function toTime(value, fallback) {
+    if (value === undefined || value === null || value === '') return fallback;
+    const time = typeof value === 'number' ? value : Date.parse(value);
+    return Number.isNaN(time) ? fallback : time;
+}
+
+async function queryPage(prefix, cursor) {
+    let query = storage.query()
+        .where('key', startsWith(prefix))
+        .limit(QUERY_PAGE_SIZE);
+    if (cursor) {
+        query = query.cursor(cursor);
+    }
+    return query.getMany();
+}
+
+/**
+ * Scans a log newest first, applying filters while paging.
+ * Forge storage can only filter on the key prefix, so one call scans a bounded number of pages
+ * and returns a cursor to continue from.
+ * @param {string} prefix - The log's key prefix.
+ * @param {object} options
+ * @param {string} [options.cursor] - Cursor returned by a previous call.
+ * @param {string|number} [options.from] - Earliest timestamp (ISO string or epoch ms), inclusive.
+ * @param {string|number} [options.to] - Latest timestamp (ISO string or epoch ms), inclusive.
+ * @param {function(Object): boolean} options.matches - Whether an entry passes the remaining filters.
+ * @param {number} options.wanted - Stop once this many entries were found. A page may return slightly more.
+ * @param {number} options.maxPages - Stop after this many pages.
+ * @param {number} [options.deadline=Infinity] - Stop after this time (epoch ms).
+ * @returns {Promise<{entries: Object[], nextCursor: string|null}>}
+ */
+export async function scanLog(prefix, { cursor, from, to, matches, wanted, maxPages, deadline = Infinity }) {
+    const fromTime = toTime(from, 0);
+    const toTimeMs = toTime(to, Infinity);
+    const entries = [];
+    let nextCursor = cursor || null;
+    let pages = 0;
+
+    do {
+        const page = await queryPage(prefix, nextCursor);
+        nextCursor = page.nextCursor || null;
+        pages++;
+
+        for (const { value } of page.results) {
+            const time = toTime(value?.timestamp, 0);
+            if (time < fromTime) {
+                // Entries are sorted newest first: nothing further down can be in range
+                return { entries, nextCursor: null };
+            }
+            if (time <= toTimeMs && matches(value)) {
+                entries.push(value);
+            }
+        }
+    } while (nextCursor && entries.length < wanted && pages < maxPages && Date.now() < deadline);
+
+    return { entries, nextCursor };
+}
+
+/**
+ * Deletes the log entries `keep` rejects, newest first.
+ * A run that runs out of time saves its cursor and counters under `stateKey`, and the next run
+ * continues from there instead of paging through the kept entries again.
+ * @param {string} prefix - The log's key prefix.
+ * @param {object} options
+ * @param {string} options.stateKey - Where an unfinished run saves `{cursor, ...counters}`.
+ * @param {function(Object, Object): boolean} options.keep - Called with each entry and the run's counters,
+ *   which it may update; returns false to delete the entry.
+ * @param {Object} [options.counters] - Initial counters for a run that does not resume, e.g. `{kept: 0}`.
+ * @returns {Promise<{deleted: number, counters: Object, finished: boolean, resumed: boolean}>}
+ * @throws {Error} - If storage fails. A saved cursor is dropped first, so it cannot block every later run.
+ */
+export async function pruneLog(prefix, { stateKey, keep, counters: initialCounters = {} }) {
+    const startedAt = Date.now();
+    const resumed = await storage.get(stateKey);
+    const { cursor: resumedCursor, ...resumedCounters } = resumed || {};
+    const counters = { ...initialCounters, ...resumedCounters };
+    let cursor = resumedCursor || null;
+    let deleted = 0;
+
+    try {
+        do {
+            const page = await queryPage(prefix, cursor);
+            cursor = page.nextCursor || null;
+
+            for (const { key, value } of page.results) {
+                if (!keep(value, counters)) {
+                    await storage.delete(key);
+                    deleted++;
+                }
+            }
+        } while (cursor && Date.now() - startedAt < PRUNE_TIME_BUDGET_MS);
+
+        if (cursor) {
+            await storage.set(stateKey, { ...counters, cursor });
+        } else if (resumed) {
+            await storage.delete(stateKey);
+        }
+    } catch (error) {
+        if (resumed) {
+            await storage.delete(stateKey).catch(() => {});
+        }
+        throw error;
+    }
+    return { deleted, counters, finished: !cursor, resumed: Boolean(resumed) };
+}
@@ -0,0 +1,270 @@
+import { fetch } from '@forge/api';
+import { kvs } from '@forge/kvs';
+import crypto from 'crypto';
+import { getSettings } from './settingsStore';
+import { getStoredToken, queryTokenMetadata, recordRefreshFailure, saveStoredToken } from './tokenStore';
+
+// Atlassian rotates the refresh token on every refresh, so only one refresh per user may run at a time
+const REFRESH_LOCK_KEY_PREFIX = 'oauth_refresh_lock:';
+const REFRESH_LOCK_TTL_SECONDS = 15; // A crashed holder blocks others for at most this long
+const REFRESH_WAIT_MS = 12 * 1000; // How long a caller waits for another caller's refresh
+const LOCK_POLL_MS = 250;
+
+const TOKEN_REFRESH_TIME_BUDGET_MS = 20 * 1000;
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * How close to expiry an access token may be and still be used (the `tokenExpiryBufferSeconds` setting).
+ * @returns {Promise<number>} Milliseconds.
+ */
+export async function getExpiryBufferMs() {
+    const { tokenExpiryBufferSeconds } = await getSettings();
+    return tokenExpiryBufferSeconds * 1000;
+}
+
+function isUsable(tokenData, bufferMs, now = Date.now()) {
+    return Boolean(tokenData?.accessToken) && (!tokenData.expiresAt || tokenData.expiresAt > now + bufferMs);
+}
+
+/**
+ * Tries to take the refresh lock for a user.
+ * The claim is a conditional write (`FAIL_IF_EXISTS`), so exactly one caller can hold the lock;
+ * its TTL frees the lock if the holder crashes.
+ * @returns {Promise<string|null>} The lock owner ID if this caller holds the lock, otherwise null.
+ * @throws {Error} - If the lock could not be written for another reason than being held.
+ */
+async function tryAcquireRefreshLock(accountId) {
+    const key = `${REFRESH_LOCK_KEY_PREFIX}${accountId}`;
+    const owner = crypto.randomUUID();
+    try {
+        await kvs.set(key, { owner, acquiredAt: Date.now() }, {
+            keyPolicy: 'FAIL_IF_EXISTS',
+            ttl: { value: REFRESH_LOCK_TTL_SECONDS, unit: 'SECONDS' }
+        });
+        return owner;
+    } catch (error) {
+        // The write is refused while someone holds the lock; anything else is a real failure
+        if (await kvs.get(key) !== undefined) {
+            return null;
+        }
+        throw error;
+    }
+}
+
+async function releaseRefreshLock(accountId, owner) {
+    const key = `${REFRESH_LOCK_KEY_PREFIX}${accountId}`;
+    const current = await kvs.get(key);
+    if (current?.owner === owner) {
+        await kvs.delete(key);
+    }
+}
+
+/**
+ * Exchanges the refresh token with Atlassian and stores the rotated pair.
+ * Must only be called while holding the user's refresh lock.
+ * @returns {Promise<Object>} The combined token data as stored.
+ */
+async function exchangeRefreshToken(accountId, storedToken) {
+    const clientId = process.env.CLIENT_ID;
+    const clientSecret = process.env.CLIENT_SECRET;
+    if (!clientId || !clientSecret) {
+        console.error('[TokenService] CLIENT_ID or CLIENT_SECRET environment variables not set.');
+        throw new Error('OAuth client configuration missing.');
+    }
+    if (!storedToken?.refreshToken) {
+        console.error(`[TokenService] No refresh token found for user ${accountId}.`);
+        const missingError = new Error('Refresh token is missing, user needs to re-authenticate.');
+        missingError.requiresReAuthentication = true;
+        throw missingError;
+    }
+
+    const response = await fetch('https://auth.atlassian.com/oauth/token', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json',
+        },
+        body: JSON.stringify({
+            grant_type: 'refresh_token',
+            client_id: clientId,
+            client_secret: clientSecret,
+            refresh_token: storedToken.refreshToken,
+        }),
+    });
+
+    if (!response.ok) {
+        const errorBody = await response.text();
+        console.error(`[TokenService] Token refresh failed with status ${response.status}: ${errorBody}`);
+        let errorCode = null;
+        try {
+            errorCode = JSON.parse(errorBody).error;
+        } catch (e) {
+            // Not JSON; fall through to the generic error
+        }
+        if ((response.status === 400 || response.status === 403) && errorCode === 'invalid_grant') {
+            console.error(`[TokenService] Refresh token for user ${accountId} is invalid or expired. Re-authentication required.`);
+            const refreshError = new Error('Refresh token invalid. Please re-authenticate the app.');
+            refreshError.requiresReAuthentication = true;
+            throw refreshError;
+        }
+        throw new Error(`Token refresh failed with status: ${response.status}`);
+    }
+
+    const tokenData = await response.json();
+    if (!tokenData?.access_token) {
+        console.error('[TokenService] Token refresh response did not contain an access_token.');
+        throw new Error('Failed to obtain new access token after refresh.');
+    }
+
+    const now = Date.now();
+    return saveStoredToken(accountId, {
+        ...storedToken,
+        accessToken: tokenData.access_token,
+        // Atlassian rotates refresh tokens; keep the old one only if none was returned
+        refreshToken: tokenData.refresh_token || storedToken.refreshToken,
+        expiresAt: now + (tokenData.expires_in * 1000),
+        ...(tokenData.scope && { scopes: tokenData.scope.split(' ') }),
+        timestamp: now,
+        lastRefreshed: now,
+        refreshFailedAt: null,
+        refreshError: null,
+        needsReconnect: false
+    });
+}
+
+/**
+ * Refreshes a user's OAuth tokens. This is the only place tokens are refreshed.
+ * At most one refresh per user runs at a time: concurrent callers wait for the refresh in progress
+ * and use its result, instead of spending the already-rotated refresh token a second time.
+ * @param {string} accountId - The Atlassian account ID.
+ * @param {string|null} [staleAccessToken] - The access token the caller found expired or rejected.
+ *   If the stored token has changed since, another caller already refreshed and no new refresh is made.
+ * @param {object} [options]
+ * @param {number} [options.deadline] - Epoch milliseconds after which the caller stops waiting for another
+ *   caller's refresh (see createInvocationDeadline in jiraApiHelper.js); the wait never exceeds 12 s.
+ * @returns {Promise<Object>} The combined token data (metadata plus accessToken and refreshToken).
+ * @throws {Error} - `requiresReAuthentication` is set when only reconnecting can help;
+ *   `retryable` is set when another refresh did not finish in time.
+ */
+export async function refreshUserToken(accountId, staleAccessToken = null, { deadline: invocationDeadline = Infinity } = {}) {
+    const deadline = Math.min(Date.now() + REFRESH_WAIT_MS, invocationDeadline);
+    const bufferMs = await getExpiryBufferMs();
+
+    for (;;) {
+        const storedToken = await getStoredToken(accountId);
+        if (!storedToken) {
+            const missingError = new Error(`No stored tokens for user ${accountId}. Please re-authenticate.`);
+            missingError.requiresReAuthentication = true;
+            throw missingError;
+        }
+        if (storedToken.accessToken !== staleAccessToken && isUsable(storedToken, bufferMs)) {
+            console.log(`[TokenService] Token for ${accountId} was already refreshed by another request.`);
+            return storedToken;
+        }
+        if (storedToken.needsReconnect) {
+            // Atlassian already rejected this refresh token (possibly in the refresh we just waited for)
+            const reconnectError = new Error('Refresh token invalid. Please re-authenticate the app.');
+            reconnectError.requiresReAuthentication = true;
+            throw reconnectError;
+        }
+
+        const owner = await tryAcquireRefreshLock(accountId);
+        if (owner) {
+            let currentToken = null;
+            try {
+                // Re-read under the lock: the previous holder may have finished just before we claimed it
+                currentToken = await getStoredToken(accountId);
+                if (currentToken && currentToken.accessToken !== staleAccessToken && isUsable(currentToken, bufferMs)) {
+                    return currentToken;
+                }
+                console.log(`[TokenService] Refreshing token for user ${accountId}.`);
+                const refreshed = await exchangeRefreshToken(accountId, currentToken);
+                console.log(`[TokenService] Successfully refreshed token for user ${accountId}.`);
+                return refreshed;
+            } catch (error) {
+                // Atlassian rejects a refresh token that was already rotated; if another refresh stored a newer one, use it
+                if (error.requiresReAuthentication) {
+                    const latestToken = await getStoredToken(accountId).catch(() => null);
+                    if (latestToken?.refreshToken && latestToken.refreshToken !== currentToken?.refreshToken) {
+                        console.warn(`[TokenService] Refresh token for ${accountId} was rotated by a concurrent refresh; using the stored token.`);
+                        return latestToken;
+                    }
+                }
+                await recordRefreshFailure(accountId, error.message, { needsReconnect: Boolean(error.requiresReAuthentication) })
+                    .catch(recordError => console.error('[TokenService] Failed to record refresh failure:', recordError));
+                throw error;
+            } finally {
+                await releaseRefreshLock(accountId, owner);
+            }
+        }
+
+        if (Date.now() + LOCK_POLL_MS > deadline) {
+            console.warn(`[TokenService] Gave up waiting for the token refresh in progress for user ${accountId}.`);
+            const busyError = new Error(`Token refresh for user ${accountId} is still in progress.`);
+            busyError.retryable = true;
+            throw busyError;
+        }
+        await sleep(LOCK_POLL_MS);
+    }
+}
+
+/**
+ * Returns a usable access token for a user, refreshing it first if it has expired.
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<Object>} The combined token data.
+ */
+export async function getFreshToken(accountId) {
+    const storedToken = await getStoredToken(accountId);
+    if (isUsable(storedToken, await getExpiryBufferMs())) {
+        return storedToken;
+    }
+    return refreshUserToken(accountId, storedToken?.accessToken || null);
+}
+
+/**
+ * Refreshes the tokens of users who have not used them for a while, so people who log time
+ * irregularly are not silently disconnected when their refresh token lapses.
+ * Runs from the daily `token-refresh` scheduled trigger. Failures are recorded on the user's
+ * connection; a rejected refresh token marks the user as needing to reconnect and is not retried.
+ */
+export async function refreshIdleTokens() {
+    const startedAt = Date.now();
+    // The `tokenRefreshIdleDays` setting; capped well under Atlassian's 90-day refresh-token inactivity limit
+    const { tokenRefreshIdleDays } = await getSettings();
+    const idleBefore = startedAt - tokenRefreshIdleDays * 24 * 60 * 60 * 1000;
+    let refreshed = 0;
+    let failed = 0;
+    let cursor = null;
+
+    try {
+        do {
+            const page = await queryTokenMetadata({ cursor, limit: 100 });
+            cursor = page.nextCursor;
+
+            for (const { accountId, metadata } of page.records) {
+                const lastRefreshedAt = metadata.lastRefreshed || metadata.timestamp || 0;
+                if (metadata.needsReconnect || !metadata.hasRefreshToken || lastRefreshedAt > idleBefore) {
+                    continue;
+                }
+                try {
+                    // Treat the current access token as stale so the refresh also happens while it is still valid
+                    const storedToken = await getStoredToken(accountId);
+                    await refreshUserToken(accountId, storedToken?.accessToken || null);
+                    refreshed++;
+                } catch (error) {
+                    // refreshUserToken has already recorded the failure on the connection
+                    console.warn(`[TokenService] Scheduled refresh failed for ${accountId}: ${error.message}`);
+                    failed++;
+                }
+                if (Date.now() - startedAt > TOKEN_REFRESH_TIME_BUDGET_MS) break;
+            }
+        } while (cursor && Date.now() - startedAt < TOKEN_REFRESH_TIME_BUDGET_MS);
+
+        console.log(`[TokenService] Scheduled refresh finished: ${refreshed} refreshed, ${failed} failed${cursor ? ' (time budget reached, continuing next run)' : ''}.`);
+    } catch (error) {
+        console.error('[TokenService] Scheduled refresh failed:', error);
+    }
+}
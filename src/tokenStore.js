@@ -0,0 +1,284 @@
+import { storage, startsWith } from '@forge/api';
+import { getMissingScopes } from './scopes';
+
+// Non-sensitive connection details (expiry, scopes, site, timestamps) stay in regular storage for status checks
+const TOKEN_METADATA_KEY_PREFIX = 'oauth_token:';
+// The access and refresh tokens themselves live in encrypted secret storage
+const TOKEN_SECRET_KEY_PREFIX = 'oauth_secret:';
+// Set when a user disconnects, so webhooks for them get a specific error instead of a generic 401
+const DISCONNECTED_KEY_PREFIX = 'oauth_disconnected:';
+// Last successful worklog call per user, kept apart from the token metadata so it never races a refresh
+const ACTIVITY_KEY_PREFIX = 'oauth_activity:';
+// Set once the user was told to reconnect, so one rejected refresh token produces one notification
+const RECONNECT_NOTICE_KEY_PREFIX = 'reconnect_notice:';
+
+// Atlassian refresh tokens lapse after 90 days without use; warn a week before
+const REFRESH_TOKEN_INACTIVITY_MS = 90 * 24 * 60 * 60 * 1000;
+const EXPIRING_WARNING_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Splits token data into the secret part and the metadata part.
+ * @param {Object} tokenData - Combined token data as used by the rest of the app.
+ * @returns {{secret: {accessToken: string, refreshToken: string}, metadata: Object}}
+ */
+function splitTokenData(tokenData) {
+    const { accessToken, refreshToken, ...metadata } = tokenData;
+    return {
+        secret: { accessToken: accessToken || null, refreshToken: refreshToken || null },
+        metadata: { ...metadata, hasRefreshToken: Boolean(refreshToken) }
+    };
+}
+
+/**
+ * Moves a record written by earlier versions (tokens in plain storage) into secret storage.
+ * The secret is written before the metadata is stripped, so an interrupted migration loses nothing.
+ * @returns {Promise<Object>} The combined token data.
+ */
+async function migrateTokenRecord(accountId, legacyRecord) {
+    const { secret, metadata } = splitTokenData(legacyRecord);
+    await storage.setSecret(`${TOKEN_SECRET_KEY_PREFIX}${accountId}`, secret);
+    await storage.set(`${TOKEN_METADATA_KEY_PREFIX}${accountId}`, metadata);
+    console.log(`[TokenStore] Moved OAuth tokens for ${accountId} to secret storage.`);
+    return { ...metadata, ...secret };
+}
+
+/**
+ * Loads a user's OAuth token data, including the tokens.
+ * Records still in the old plain-storage format are migrated on read.
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<Object|null>} Metadata plus `accessToken` and `refreshToken`, or null if the user never connected.
+ */
+export async function getStoredToken(accountId) {
+    if (!accountId) return null;
+    const metadata = await storage.get(`${TOKEN_METADATA_KEY_PREFIX}${accountId}`);
+    if (!metadata) return null;
+    if (metadata.accessToken || metadata.refreshToken) {
+        return migrateTokenRecord(accountId, metadata);
+    }
+    const secret = await storage.getSecret(`${TOKEN_SECRET_KEY_PREFIX}${accountId}`);
+    return { ...metadata, ...(secret || {}) };
+}
+
+/**
+ * Loads only the non-sensitive token metadata, for status checks that do not need the tokens.
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<Object|null>}
+ */
+export async function getTokenMetadata(accountId) {
+    if (!accountId) return null;
+    const metadata = await storage.get(`${TOKEN_METADATA_KEY_PREFIX}${accountId}`);
+    if (!metadata) return null;
+    const { accessToken, refreshToken, ...rest } = metadata;
+    // A legacy record not migrated yet still reports whether it has a refresh token
+    return accessToken || refreshToken ? { ...rest, hasRefreshToken: Boolean(refreshToken) } : rest;
+}
+
+/**
+ * Saves a user's token data: tokens to secret storage, everything else to regular storage.
+ * @param {string} accountId - The Atlassian account ID.
+ * @param {Object} tokenData - Combined token data (accessToken, refreshToken, expiresAt, scopes, cloudId, ...).
+ * @returns {Promise<Object>} The combined token data as stored.
+ */
+export async function saveStoredToken(accountId, tokenData) {
+    const { secret, metadata } = splitTokenData(tokenData);
+    await storage.setSecret(`${TOKEN_SECRET_KEY_PREFIX}${accountId}`, secret);
+    await storage.set(`${TOKEN_METADATA_KEY_PREFIX}${accountId}`, metadata);
+    return { ...metadata, ...secret };
+}
+
+/**
+ * Deletes a user's tokens and their metadata.
+ * @param {string} accountId - The Atlassian account ID.
+ */
+export async function deleteStoredToken(accountId) {
+    await storage.deleteSecret(`${TOKEN_SECRET_KEY_PREFIX}${accountId}`);
+    await storage.delete(`${TOKEN_METADATA_KEY_PREFIX}${accountId}`);
+    await storage.delete(`${ACTIVITY_KEY_PREFIX}${accountId}`);
+}
+
+/**
+ * Records that a user's connection was removed on purpose. Cleared when they connect again.
+ * @param {string} accountId - The disconnected user.
+ * @param {string} disconnectedBy - The account that disconnected them (the user themselves or an admin).
+ */
+export async function markDisconnected(accountId, disconnectedBy) {
+    await storage.set(`${DISCONNECTED_KEY_PREFIX}${accountId}`, { disconnectedAt: Date.now(), disconnectedBy });
+}
+
+/**
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<{disconnectedAt: number, disconnectedBy: string}|null>} Set if the user disconnected and has not reconnected.
+ */
+export async function getDisconnection(accountId) {
+    if (!accountId) return null;
+    return (await storage.get(`${DISCONNECTED_KEY_PREFIX}${accountId}`)) || null;
+}
+
+/**
+ * Removes the disconnected marker after the user connects again.
+ * @param {string} accountId - The Atlassian account ID.
+ */
+export async function clearDisconnection(accountId) {
+    await storage.delete(`${DISCONNECTED_KEY_PREFIX}${accountId}`);
+}
+
+/**
+ * @param {string} accountId - The Atlassian account ID.
+ * @returns {Promise<{notifiedAt: number, issueKey: string}|null>} Set if the user was already asked to reconnect.
+ */
+export async function getReconnectNotice(accountId) {
+    return (await storage.get(`${RECONNECT_NOTICE_KEY_PREFIX}${accountId}`)) || null;
+}
+
+/**
+ * Records that the user was asked to reconnect.
+ * @param {string} accountId - The Atlassian account ID.
+ * @param {string} issueKey - The issue the notification was sent through.
+ */
+export async function recordReconnectNotice(accountId, issueKey) {
+    await storage.set(`${RECONNECT_NOTICE_KEY_PREFIX}${accountId}`, { notifiedAt: Date.now(), issueKey });
+}
+
+/**
+ * Forgets the reconnect notification after the user connects again, so a later failure notifies them anew.
+ * @param {string} accountId - The Atlassian account ID.
+ */
+export async function clearReconnectNotice(accountId) {
+    await storage.delete(`${RECONNECT_NOTICE_KEY_PREFIX}${accountId}`);
+}
+
+/**
+ * Records that the user's last token refresh failed, for the connected-users overview.
+ * A later successful refresh clears it (see the refresh functions).
+ * @param {string} accountId - The Atlassian account ID.
+ * @param {string} message - Why the refresh failed.
+ * @param {object} [options]
+ * @param {boolean} [options.needsReconnect=false] - Atlassian rejected the refresh token, so only reconnecting helps.
+ */
+export async function recordRefreshFailure(accountId, message, { needsReconnect = false } = {}) {
+    const metadata = await getTokenMetadata(accountId);
+    if (!metadata) return;
+    await storage.set(`${TOKEN_METADATA_KEY_PREFIX}${accountId}`, {
+        ...metadata,
+        refreshFailedAt: Date.now(),
+        refreshError: message,
+        ...(needsReconnect && { needsReconnect: true })
+    });
+}
+
+/**
+ * Records a worklog call that Jira accepted for the user.
+ * @param {string} accountId - The Atlassian account ID.
+ * @param {string} action - 'create', 'update' or 'delete'.
+ */
+export async function recordWorklogSuccess(accountId, action) {
+    await storage.set(`${ACTIVITY_KEY_PREFIX}${accountId}`, { lastWorklogAt: Date.now(), lastWorklogAction: action });
+}
+
+/**
+ * Classifies a connection for the connected-users overview.
+ * @param {Object} metadata - Token metadata.
+ * @param {number} [now] - Current time in epoch milliseconds.
+ * @returns {'healthy'|'expiring'|'refresh-failed'|'needs-reconnect'|'needs-consent'}
+ *   'needs-reconnect' once Atlassian rejected the refresh token, 'needs-consent' when the token lacks
+ *   a scope the app now requires, 'refresh-failed' after another failed refresh,
+ *   'expiring' without a refresh token or when the refresh token is close to lapsing from inactivity,
+ *   'healthy' otherwise.
+ */
+function getTokenHealth(metadata, now = Date.now()) {
+    if (metadata.needsReconnect) return 'needs-reconnect';
+    if (getMissingScopes(metadata).length > 0) return 'needs-consent';
+    if (metadata.refreshFailedAt) return 'refresh-failed';
+    if (!metadata.hasRefreshToken) return 'expiring';
+    const lastRefreshedAt = metadata.lastRefreshed || metadata.timestamp || 0;
+    if (lastRefreshedAt + REFRESH_TOKEN_INACTIVITY_MS - EXPIRING_WARNING_MS < now) return 'expiring';
+    return 'healthy';
+}
+
+/**
+ * Pages through the token metadata of every connected user.
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor returned by a previous call.
+ * @param {number} [options.limit=25] - Page size (max 100).
+ * @returns {Promise<{records: Array<{accountId: string, metadata: Object}>, nextCursor: string|null}>}
+ */
+export async function queryTokenMetadata({ cursor, limit = 25 } = {}) {
+    let query = storage.query()
+        .where('key', startsWith(TOKEN_METADATA_KEY_PREFIX))
+        .limit(Math.min(Math.max(Number(limit) || 25, 1), 100));
+    if (cursor) {
+        query = query.cursor(cursor);
+    }
+    const { results, nextCursor } = await query.getMany();
+    const records = results.map(({ key, value }) => {
+        const { accessToken, refreshToken, ...metadata } = value || {};
+        // Legacy records not migrated yet still report whether they have a refresh token
+        if (accessToken || refreshToken) metadata.hasRefreshToken = Boolean(refreshToken);
+        return { accountId: key.slice(TOKEN_METADATA_KEY_PREFIX.length), metadata };
+    });
+    return { records, nextCursor: nextCursor || null };
+}
+
+/**
+ * Lists every user with stored OAuth tokens, without the tokens themselves.
+ * @param {object} [options]
+ * @param {string} [options.cursor] - Cursor returned by a previous call.
+ * @param {number} [options.limit=25] - Page size (max 100).
+ * @returns {Promise<{users: Object[], nextCursor: string|null}>}
+ */
+export async function listConnectedUsers({ cursor, limit = 25 } = {}) {
+    const { records, nextCursor } = await queryTokenMetadata({ cursor, limit });
+    const now = Date.now();
+    const users = await Promise.all(records.map(async ({ accountId, metadata }) => {
+        const activity = await storage.get(`${ACTIVITY_KEY_PREFIX}${accountId}`) || {};
+        return {
+            accountId,
+            cloudId: metadata.cloudId || null,
+            siteName: metadata.siteName || null,
+            scopes: metadata.scopes || [],
+            missingScopes: getMissingScopes(metadata),
+            lastRefreshedAt: metadata.lastRefreshed || metadata.timestamp || null,
+            expiresAt: metadata.expiresAt || null,
+            lastWorklogAt: activity.lastWorklogAt || null,
+            lastWorklogAction: activity.lastWorklogAction || null,
+            refreshFailedAt: metadata.refreshFailedAt || null,
+            refreshError: metadata.refreshError || null,
+            needsReconnect: Boolean(metadata.needsReconnect),
+            health: getTokenHealth(metadata, now)
+        };
+    }));
+    return { users, nextCursor: nextCursor || null };
+}
+
+/**
+ * One-time migration of every user's tokens from plain storage to secret storage.
+ * Runs from the app upgrade lifecycle trigger; records it misses are migrated on their next read.
+ * Users keep their connection and do not need to reconnect.
+ */
+export async function migrateStoredTokens() {
+    let migrated = 0;
+    let cursor = null;
+    try {
+        do {
+            let query = storage.query().where('key', startsWith(TOKEN_METADATA_KEY_PREFIX)).limit(100);
+            if (cursor) {
+                query = query.cursor(cursor);
+            }
+            const page = await query.getMany();
+            cursor = page.nextCursor || null;
+            for (const { key, value } of page.results) {
+                if (!value?.accessToken && !value?.refreshToken) continue;
+                // A webhook may have migrated and refreshed this user since the page was read; writing
+                // the page's copy back would replace the rotated refresh token with a stale one
+                const current = await storage.get(key);
+                if (current?.accessToken || current?.refreshToken) {
+                    await migrateTokenRecord(key.slice(TOKEN_METADATA_KEY_PREFIX.length), current);
+                    migrated++;
+                }
+            }
+        } while (cursor);
+        console.log(`[TokenStore] Token migration finished: ${migrated} user(s) moved to secret storage.`);
+    } catch (error) {
+        console.error('[TokenStore] Token migration failed:', error);
+    }
+}
@@ -0,0 +1,55 @@
+import { validateWebhookRequest } from './secureUtils';
+
+/**
+ * Parses a webhook request body, ensuring it's valid JSON.
+ * @param {Object} req - The web trigger request.
+ * @param {string} label - Operation name used in log lines (e.g. 'Create').
+ * @returns {Object} The parsed payload.
+ * @throws {Error} - If the body is missing, empty or not valid JSON.
+ */
+export function parseRequestBody(req, label) {
+    console.log(`Attempting to parse request body for ${label}...`);
+    if (!req.body) {
+        throw new Error('Request body is missing.');
+    }
+    try {
+        let payload;
+        if (typeof req.body === 'string') {
+            payload = JSON.parse(req.body);
+        } else {
+            payload = req.body; // Assume already object
+        }
+        console.log('Parsed payload:', payload);
+        if (!payload || typeof payload !== 'object' || Object.keys(payload).length === 0) {
+             throw new Error('Request body is empty or not valid JSON.');
+        }
+        return payload;
+    } catch (e) {
+        console.error("Failed to parse request body as JSON:", e);
+        console.error("Raw request body snippet:", String(req.body).substring(0, 200));
+        throw new Error('Invalid JSON payload in request body.');
+    }
+}
+
+/**
+ * Authenticates (legacy secret header or signature, per integration) and parses a worklog webhook request.
+ * @param {Object} req - The web trigger request.
+ * @param {string} label - Operation name used in log lines (e.g. 'Create').
+ * @param {string} integration - The webhook integration whose auth mode applies (see WEBHOOK_INTEGRATIONS).
+ * @returns {Promise<Object>} The parsed payload.
+ * @throws {Error} - With `outputKey` set to 'error-unauthorized' or 'error-bad-request'.
+ */
+export async function readWebhookRequest(req, label, integration) {
+    try {
+        await validateWebhookRequest(req, integration);
+    } catch (error) {
+        error.outputKey = 'error-unauthorized';
+        throw error;
+    }
+    try {
+        return parseRequestBody(req, label);
+    } catch (error) {
+        error.outputKey = 'error-bad-request';
+        throw error;
+    }
+}
@@ -0,0 +1,111 @@
+import crypto from 'crypto';
+
+/**
+ * HTTP status codes for each webhook output key.
+ * The handlers still decide on an output key; this maps it to the dynamic response.
+ */
+export const OUTPUT_STATUS_CODES = {
+    'success-created': 200,
+    'success-updated': 200,
+    'success-deleted': 200, // Return 200 OK to client even if Jira gives 204
+    'success-batch': 200, // Per-item outcomes are in the body
+    'accepted-queued': 202, // Jira failed transiently; the operation will be retried (see src/retryQueue.js)
+    'accepted-awaiting-reconnect': 202, // The user must reconnect; the operation is replayed after they do
+    'error-bad-request': 400,
+    'error-unauthorized': 401,
+    'error-forbidden': 403,
+    'error-user-disconnected': 403, // The user disconnected Worklog Handler from their Jira account
+    'error-reconsent-required': 403, // The user's token predates a scope the app now requires (see src/scopes.js)
+    'error-policy-violation': 403, // The issue breaks the worklog rules admins set (see src/worklogPolicy.js)
+    'error-not-found': 404,
+    'error-conflict': 409,
+    'error-duplicate': 409,
+    'error-no-site': 409, // The user's connection has no (matching) Jira site
+    'error-internal': 500,
+    'error-jira-api': 502
+};
+
+const OUTPUT_ERROR_LABELS = {
+    'error-bad-request': 'Bad Request',
+    'error-unauthorized': 'Unauthorized or Re-authentication required',
+    'error-forbidden': 'Forbidden',
+    'error-user-disconnected': 'User Disconnected',
+    'error-reconsent-required': 'Re-consent Required',
+    'error-policy-violation': 'Policy Violation',
+    'error-not-found': 'Worklog Not Found',
+    'error-conflict': 'Request Already In Progress',
+    'error-duplicate': 'Duplicate Worklog',
+    'error-no-site': 'No Matching Jira Site',
+    'error-internal': 'Internal Server Error',
+    'error-jira-api': 'Jira API Error'
+};
+
+/**
+ * Generates an ID that is returned to the caller and written to the logs,
+ * so a webhook response can be matched to its server-side log lines.
+ * @returns {string} A random UUID.
+ */
+export function createRequestId() {
+    return crypto.randomUUID();
+}
+
+/**
+ * Maps a Jira REST API status code to a webhook output key.
+ * @param {number} status - The HTTP status returned by Jira.
+ * @param {boolean} [allowNotFound=true] - Whether 404 maps to 'error-not-found' (update/delete) or the generic Jira error (create).
+ * @returns {string} The output key.
+ */
+export function outputKeyForJiraStatus(status, allowNotFound = true) {
+    if (status === 400) return 'error-bad-request';
+    if (status === 401) return 'error-unauthorized';
+    if (status === 403) return 'error-forbidden';
+    if (status === 404 && allowNotFound) return 'error-not-found';
+    return 'error-jira-api'; // Generic Jira error for others (5xx etc.)
+}
+
+/**
+ * Parses a Jira error response body into its messages.
+ * Jira returns `{ errorMessages: string[], errors: { field: message } }` for most failures.
+ * @param {string} errorBody - The raw response text.
+ * @param {number} status - The HTTP status, used for the fallback message.
+ * @returns {{message: string, errorMessages: string[], errors: Object}}
+ */
+export function parseJiraError(errorBody, status) {
+    const fallback = `Jira API error (Status: ${status}).`;
+    try {
+        const jiraError = JSON.parse(errorBody);
+        const errorMessages = Array.isArray(jiraError.errorMessages) ? jiraError.errorMessages : [];
+        const errors = jiraError.errors && typeof jiraError.errors === 'object' ? jiraError.errors : {};
+        const fieldMessages = Object.entries(errors).map(([field, msg]) => `${field}: ${msg}`);
+        const message = [...errorMessages, ...fieldMessages].join(', ') || fallback;
+        return { message, errorMessages, errors };
+    } catch (e) {
+        return { message: fallback, errorMessages: [], errors: {} };
+    }
+}
+
+/**
+ * Builds a dynamic webtrigger response with a JSON body.
+ * @param {string} outputKey - One of the keys in OUTPUT_STATUS_CODES.
+ * @param {string} requestId - The ID generated for this invocation.
+ * @param {Object} [details] - Extra fields for the body (worklogId, issueKey, message, jiraErrors...).
+ * @returns {{statusCode: number, headers: Object, body: string}}
+ */
+export function buildWebhookResponse(outputKey, requestId, details = {}) {
+    const statusCode = OUTPUT_STATUS_CODES[outputKey] || 500;
+    const success = statusCode < 400;
+    const body = {
+        success,
+        ...(success ? {} : { error: OUTPUT_ERROR_LABELS[outputKey] || OUTPUT_ERROR_LABELS['error-internal'] }),
+        requestId,
+        ...details
+    };
+    return {
+        statusCode,
+        headers: {
+            'Content-Type': ['application/json'],
+            'X-Request-Id': [requestId]
+        },
+        body: JSON.stringify(body)
+    };
+}
@@ -0,0 +1,138 @@
+import { logAction } from './actionLogger';
+import { createInvocationDeadline, hasTimeForAttempt } from './jiraApiHelper';
+import { enqueueRetry } from './retryQueue';
+import { readWebhookRequest } from './webhookRequest';
+import { buildWebhookResponse, createRequestId, OUTPUT_STATUS_CODES } from './webhookResponse';
+import { getEventRoutes } from './worklogEventRouter';
+import { createWorklog } from './worklogCreateHandler';
+import { updateWorklog } from './worklogUpdateHandler';
+import { deleteWorklog } from './worklogDeleteHandler';
+
+const MAX_BATCH_SIZE = 50;
+
+const OPERATIONS = {
+    create: createWorklog,
+    update: updateWorklog,
+    delete: deleteWorklog
+};
+
+/**
+ * Works out which operation a batch item asks for: an explicit `operation` field,
+ * or the same `event` names the event-routed webhook accepts.
+ * @returns {string|null} 'create', 'update', 'delete' or null.
+ */
+function resolveOperation(item, eventRoutes) {
+    // Own keys only: names such as 'constructor' must not resolve to inherited properties
+    const operation = String(item.operation || '').trim().toLowerCase();
+    if (Object.hasOwn(OPERATIONS, operation)) return operation;
+    const event = String(item.event || '').trim().toLowerCase();
+    return Object.hasOwn(eventRoutes, event) ? eventRoutes[event] : null;
+}
+
+/**
+ * Hands an item the batch has no time left for to the retry queue.
+ * Once the deadline itself has passed, items are no longer queued either, so the response still goes out.
+ * @returns {Promise<Object>} The item's result: queued, or `Not Processed` if it could not be queued.
+ */
+async function deferItem(item, operation, index, itemRequestId, deadline) {
+    const message = 'Invocation time limit reached before this item was started.';
+    const logDetails = { actionType: operation, success: false, issueKey: item.issueKey || 'Unknown', accountId: item.userId || 'Unknown', requestId: itemRequestId };
+    if (Date.now() < deadline) {
+        try {
+            const { id: retryId } = await enqueueRetry({ operation, payload: item, requestId: itemRequestId, idempotencyKey: item.idempotencyKey, error: message });
+            await logAction({ ...logDetails, message: `${message} Queued for retry (${retryId}).` });
+            return { index, operation, success: true, statusCode: OUTPUT_STATUS_CODES['accepted-queued'], outputKey: 'accepted-queued', retryId, message: `${message} Queued for retry.` };
+        } catch (queueError) {
+            console.error(`[WorklogBatchHandler] Failed to queue item ${index}:`, queueError);
+        }
+    }
+    await logAction({ ...logDetails, message: `Not processed: ${message}` });
+    return { index, operation, success: false, statusCode: null, error: 'Not Processed', message: `${message} Resend it.` };
+}
+
+/**
+ * Handles a webhook request carrying many worklog operations.
+ * Body: `{ "operations": [ { "operation": "create", ...createPayload }, { "event": "hours:deleted", ... } ] }`.
+ * The secret is checked once, items run in order with one token lookup per user,
+ * every item gets its own action-log entry and the response lists the result of each item.
+ * All items share one invocation deadline; items it leaves no time for are queued for retry.
+ */
+export const handler = async (req) => {
+    const handlerName = 'WorklogBatchHandler';
+    const requestId = createRequestId();
+    const deadline = createInvocationDeadline();
+    console.log(`[${handlerName}] Invoked. Request ID: ${requestId}`);
+
+    let payload;
+    try {
+        payload = await readWebhookRequest(req, 'Batch', 'batch');
+    } catch (error) {
+        await logAction({ actionType: 'batch', success: false, issueKey: 'Unknown', accountId: 'Unknown', message: error.message, requestId });
+        return buildWebhookResponse(error.outputKey, requestId, { message: error.message });
+    }
+
+    const operations = Array.isArray(payload) ? payload : payload.operations;
+    if (!Array.isArray(operations) || operations.length === 0) {
+        return buildWebhookResponse('error-bad-request', requestId, { message: 'Request body must contain a non-empty "operations" array.' });
+    }
+    if (operations.length > MAX_BATCH_SIZE) {
+        return buildWebhookResponse('error-bad-request', requestId, {
+            message: `Batch contains ${operations.length} operations; the maximum is ${MAX_BATCH_SIZE}.`
+        });
+    }
+
+    const startedAt = Date.now();
+    const eventRoutes = await getEventRoutes();
+    const authCache = new Map(); // One token lookup (and at most one refresh) per user for the whole batch
+    const results = [];
+
+    for (let index = 0; index < operations.length; index++) {
+        const item = operations[index] || {};
+        const itemRequestId = `${requestId}:${index}`;
+        const operation = resolveOperation(item, eventRoutes);
+
+        if (!operation) {
+            const message = `Item ${index} has no valid "operation" (create, update, delete) or known "event".`;
+            await logAction({
+                actionType: 'batch',
+                success: false,
+                issueKey: item.issueKey || 'Unknown',
+                accountId: item.userId || 'Unknown',
+                message,
+                requestId: itemRequestId
+            });
+            results.push({ index, operation: null, success: false, statusCode: 400, error: 'Bad Request', message });
+            continue;
+        }
+
+        if (!hasTimeForAttempt(deadline)) {
+            results.push(await deferItem(item, operation, index, itemRequestId, deadline));
+            continue;
+        }
+
+        try {
+            const { outputKey, details } = await OPERATIONS[operation](item, {
+                requestId: itemRequestId,
+                idempotencyKey: item.idempotencyKey,
+                authCache,
+                deadline
+            });
+            const statusCode = OUTPUT_STATUS_CODES[outputKey] || 500;
+            results.push({ index, operation, success: statusCode < 400, statusCode, outputKey, ...details });
+        } catch (error) {
+            // The operation functions log and return their own failures; this only guards unexpected throws
+            console.error(`[${handlerName}] Unexpected error processing item ${index}:`, error);
+            results.push({ index, operation, success: false, statusCode: 500, error: 'Internal Server Error', message: error.message });
+        }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    console.log(`[${handlerName}] Batch finished: ${succeeded}/${results.length} succeeded in ${Date.now() - startedAt}ms.`);
+    return buildWebhookResponse('success-batch', requestId, {
+        action: 'batch',
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        results
+    });
+};
@@ -1,58 +1,50 @@
-import { validateZapierSecret } from './secureUtils';
-import { callJiraApiWithRetry } from './jiraApiHelper';
+import { getHeaderValue } from './secureUtils';
+import { callJiraApiWithRetry, createInvocationDeadline, isRetryableStatus } from './jiraApiHelper';
 import { logAction } from './actionLogger';
+import { readWebhookRequest } from './webhookRequest';
+import { normalizeSource, saveWorklogMapping } from './worklogMappingStore';
+import {
+    claimIdempotencyKey,
+    completeIdempotencyKey,
+    findRecentDuplicate,
+    getDuplicateMode,
+    getIdempotencyKey,
+    recordRecentCreate,
+    releaseIdempotencyKey
+} from './idempotencyStore';
+import { enqueueRetry, parkForReconnect } from './retryQueue';
+import { applyTimeRounding, enforceWorklogPolicy } from './worklogPolicy';
+import { buildWebhookResponse, createRequestId, outputKeyForJiraStatus, parseJiraError } from './webhookResponse';
 
 /**
- * Parses the request body, ensuring it's valid JSON.
+ * Creates a Jira worklog from an already authenticated webhook payload and logs the outcome.
+ * Shared by the create webhook and the batch webhook.
+ * @param {Object} payload - The parsed payload (userId, issueKey, started, timeSpentSeconds, ...).
+ * @param {object} options
+ * @param {string} options.requestId - The request ID returned to the caller.
+ * @param {string} [options.idempotencyKey] - Caller-supplied idempotency key (Idempotency-Key header).
+ * @param {Map} [options.authCache] - Per-invocation token cache, see callJiraApiWithRetry.
+ * @param {number} [options.deadline] - The invocation deadline, see createInvocationDeadline in jiraApiHelper.js.
+ * @param {boolean} [options.queueOnFailure=true] - Queue retryable failures for a later attempt, and keep failures that need the user to reconnect (the retry queue itself passes false).
+ * @returns {Promise<{outputKey: string, details: Object, retryable?: boolean, requiresReAuthentication?: boolean, accountId?: string}>} The output key and response details;
+ *   `retryable` marks failures worth trying again, `requiresReAuthentication` those that need the user to reconnect,
+ *   and `accountId` is the account a failed operation ran as.
  */
-function parseRequestBody(req) {
-    console.log('Attempting to parse request body for Create...');
-    if (!req.body) {
-        throw new Error('Request body is missing.');
-    }
-    try {
-        let payload;
-        if (typeof req.body === 'string') {
-            payload = JSON.parse(req.body);
-        } else {
-            payload = req.body; // Assume already object
-        }
-        console.log('Parsed payload:', payload);
-        if (Object.keys(payload).length === 0) {
-             throw new Error('Request body is empty or not valid JSON.');
-        }
-        return payload;
-    } catch (e) {
-        console.error("Failed to parse request body as JSON:", e);
-        console.error("Raw request body snippet:", String(req.body).substring(0, 200));
-        throw new Error('Invalid JSON payload in request body.');
-    }
-}
-
-/**
- * Handles the incoming webhook request to CREATE a Jira worklog.
- */
-export const handler = async (req) => {
+export async function createWorklog(payload, { requestId, idempotencyKey: explicitIdempotencyKey, authCache, deadline, queueOnFailure = true } = {}) {
     const handlerName = 'WorklogCreateHandler';
-    console.log(`[${handlerName}] Invoked.`);
-    // Log headers for debugging secret issues (consider removing in production)
-    // console.log(`[${handlerName}] Raw headers:`, JSON.stringify(req.headers || {}, null, 2));
 
     let outputKey = 'error-internal';
     let logDetails = {};
-    let payload = null; // <-- Declare payload here and initialize to null
+    let jiraErrors = null; // Parsed Jira error details, returned to the caller
+    let idempotencyKey = null; // Set once this request has claimed its idempotency key
+    let possibleDuplicateOf = null; // Worklog ID of a near-identical create, if one was found
 
     try {
-        // 1. Validate Secret (using secureUtils)
-        await validateZapierSecret(req.headers); // Now async
-
-        // 2. Parse Body
-        payload = parseRequestBody(req);
-
-        // 3. Extract and Validate Payload Data for CREATE
+        // 1. Extract and Validate Payload Data for CREATE
         // Note: `event` field is not strictly needed by this handler but might be useful for logging
-        const { userId, issueKey, started, timeSpentSeconds } = payload;
+        const { userId, issueKey, started, timeSpentSeconds, externalEntryId, comment, commentFormat } = payload;
         const accountId = userId;
+        const source = normalizeSource(payload.source);
 
         // <-- Store details for logging
         logDetails = { actionType: 'create', success: false, issueKey, accountId }; 
@@ -69,31 +61,76 @@ export const handler = async (req) => {
             logDetails.message = `Missing required fields: ${missing}.`; // <-- Log error detail
             throw new Error(`Missing required fields in payload for create: ${missing}.`);
         }
+
+        // 2. Refuse issues outside the worklog rules admins set (projects, issue types, statuses)
+        await enforceWorklogPolicy('create', { issueKey, accountId }, requestId);
+
+        // 3. Suppress retried deliveries (Idempotency-Key header or externalEntryId)
+        const candidateKey = getIdempotencyKey(explicitIdempotencyKey, payload);
+        if (candidateKey) {
+            const claim = await claimIdempotencyKey(candidateKey, requestId);
+            if (claim.status === 'completed') {
+                const original = claim.record;
+                console.log(`[${handlerName}] Duplicate delivery suppressed. Returning result of request ${original.requestId} (worklog ${original.details?.worklogId}).`);
+                await logAction({
+                    ...logDetails,
+                    success: true,
+                    worklogId: original.details?.worklogId,
+                    message: `Duplicate delivery suppressed; returned worklog ${original.details?.worklogId} from request ${original.requestId}.`,
+                    requestId
+                });
+                return {
+                    outputKey: original.outputKey,
+                    details: { ...original.details, replayed: true, originalRequestId: original.requestId }
+                };
+            }
+            if (claim.status === 'in-progress') {
+                outputKey = 'error-conflict';
+                logDetails.message = `Request ${claim.record.requestId} with the same idempotency key is still being processed.`;
+                throw new Error(logDetails.message);
+            }
+            idempotencyKey = candidateKey;
+        }
+
+        // 4. Detect near-identical creates (same user, issue, start and duration within the window).
+        // Best effort: the idempotency key is already claimed, and a storage error here must not strand it.
+        let duplicate = null;
+        try {
+            duplicate = await findRecentDuplicate(accountId, issueKey, started, timeSpentSeconds);
+        } catch (duplicateError) {
+            console.error(`[${handlerName}] Duplicate check failed; creating without it:`, duplicateError);
+        }
+        if (duplicate) {
+            possibleDuplicateOf = duplicate.worklogId;
+            if ((await getDuplicateMode()) === 'reject') {
+                outputKey = 'error-duplicate';
+                logDetails.message = `Rejected as a duplicate of worklog ${duplicate.worklogId} (request ${duplicate.requestId}).`;
+                throw new Error(logDetails.message);
+            }
+            console.warn(`[${handlerName}] Possible duplicate of worklog ${duplicate.worklogId}; creating anyway (mode: flag).`);
+        }
         console.log(`[${handlerName}] Processing CREATE request for user: ${accountId}, issue: ${issueKey}`);
 
-        // Prepare payload for the API call
-        const payloadForApi = { started, timeSpentSeconds };
+        // Prepare payload for the API call (durations rounded per the time-rounding settings)
+        const payloadForApi = { started, timeSpentSeconds: await applyTimeRounding(timeSpentSeconds), comment, commentFormat };
 
-        // 4. Call Jira API (POST) via wrapper
-        const apiResult = await callJiraApiWithRetry(accountId, 'POST', issueKey, payloadForApi, null);
+        // 5. Call Jira API (POST) via wrapper
+        const apiResult = await callJiraApiWithRetry(accountId, 'POST', issueKey, payloadForApi, null, { authCache, requestId, deadline });
 
-        // 5. Process Final API Response
+        // 6. Process Final API Response
         if (!apiResult.response.ok) {
             const errorBody = await apiResult.response.text();
             console.error(`[${handlerName}] Jira API call failed. Status: ${apiResult.status}, Issue: ${issueKey}, Body: ${errorBody}`);
-            // Map Jira status codes to output keys
-            if (apiResult.status === 400) outputKey = 'error-bad-request';
-            else if (apiResult.status === 401) outputKey = 'error-unauthorized';
-            else if (apiResult.status === 403) outputKey = 'error-forbidden';
-            else outputKey = 'error-jira-api'; // Generic Jira error for others (404, 5xx etc.)
-            
-            let errorMessage = `Jira API error (Status: ${apiResult.status}).`;
-            try {
-                const jiraError = JSON.parse(errorBody);
-                errorMessage = jiraError.errorMessages?.join(', ') || JSON.stringify(jiraError.errors) || errorMessage;
-            } catch (e) { /* Ignore parse error */ }
+            // Map Jira status codes to output keys (404 on create means the issue, not a worklog, is missing)
+            outputKey = outputKeyForJiraStatus(apiResult.status, false);
+
+            const { message: errorMessage, errorMessages, errors } = parseJiraError(errorBody, apiResult.status);
+            jiraErrors = { status: apiResult.status, errorMessages, errors };
             logDetails.message = `Jira API Error: ${apiResult.status} - ${errorMessage}`; // <-- Log error detail
-            throw new Error(errorMessage); // Throw to be caught below
+            const apiError = new Error(errorMessage); // Throw to be caught below
+            apiError.retryable = isRetryableStatus(apiResult.status);
+            apiError.retryAfterSeconds = apiResult.retryAfterSeconds;
+            throw apiError;
         }
 
         const responseData = await apiResult.response.json();
@@ -101,30 +138,139 @@ export const handler = async (req) => {
         console.log(`[${handlerName}] <<< Worklog CREATED Successfully >>> Issue: ${issueKey}, Worklog ID: ${responseData.id}, User: ${accountId}`);
         // --- End Log ---
 
+        // Remember the external entry so later updates/deletes can omit the Jira worklog ID
+        if (externalEntryId) {
+            try {
+                await saveWorklogMapping({ source, externalEntryId, issueKey, worklogId: responseData.id, accountId });
+            } catch (mappingError) {
+                // The worklog exists in Jira; a mapping failure must not turn this into an error response
+                console.error(`[${handlerName}] Failed to save mapping for external entry ${externalEntryId}:`, mappingError);
+            }
+        }
+
         outputKey = 'success-created';
+        const responseDetails = {
+            action: 'created',
+            worklogId: responseData.id,
+            issueKey,
+            ...(externalEntryId && { source, externalEntryId }),
+            started: responseData.started,
+            timeSpentSeconds: responseData.timeSpentSeconds,
+            ...(possibleDuplicateOf && { possibleDuplicateOf })
+        };
+
+        // Duplicate bookkeeping must not turn a created worklog into an error response.
+        // The key is completed first and on its own, so a bookkeeping failure cannot leave it 'in-progress'.
+        if (idempotencyKey) {
+            try {
+                await completeIdempotencyKey(idempotencyKey, requestId, outputKey, responseDetails);
+            } catch (completeError) {
+                console.error(`[${handlerName}] Failed to complete idempotency key:`, completeError);
+            }
+        }
+        try {
+            await recordRecentCreate(accountId, issueKey, { started, timeSpentSeconds, worklogId: responseData.id, requestId });
+        } catch (storeError) {
+            console.error(`[${handlerName}] Failed to record create for duplicate detection:`, storeError);
+        }
+
         logDetails.success = true; // <-- Mark success
         logDetails.worklogId = responseData.id; // <-- Add worklog ID
         logDetails.message = `Worklog ${responseData.id} created successfully.`; // <-- Success message
-        await logAction(logDetails); // <-- Log success action
-        return { outputKey }; // Return static success key
+        if (possibleDuplicateOf) {
+            logDetails.message += ` Possible duplicate of worklog ${possibleDuplicateOf}.`;
+        }
+        await logAction({ ...logDetails, requestId }); // <-- Log success action
+        return { outputKey, details: responseDetails };
 
     } catch (error) {
         console.error(`[${handlerName}] Error:`, error);
+        // Let the caller's retry through once this attempt has failed
+        if (idempotencyKey) {
+            try {
+                await releaseIdempotencyKey(idempotencyKey);
+            } catch (releaseError) {
+                console.error(`[${handlerName}] Failed to release idempotency key:`, releaseError);
+            }
+        }
+
         // Map specific thrown errors to output keys
-        if (error.message.includes("secret")) outputKey = 'error-unauthorized'; // Treat secret errors as Unauthorized
+        if (error.outputKey) outputKey = error.outputKey;
         else if (error.message.includes("payload") || error.message.includes("Missing required fields")) outputKey = 'error-bad-request';
         else if (error.message.includes("re-authenticate")) outputKey = 'error-unauthorized';
         // Use the outputKey set during API failure if available, otherwise default internal error
         outputKey = outputKey || 'error-internal'; 
 
-        // Now this is safe because payload is declared in the outer scope
         logDetails.actionType = logDetails.actionType || 'create';
         logDetails.success = false;
         logDetails.issueKey = logDetails.issueKey || payload?.issueKey || 'Unknown'; // Optional chaining works
         logDetails.accountId = logDetails.accountId || payload?.userId || 'Unknown';   // Optional chaining works
         logDetails.message = logDetails.message || error.message;
 
-        await logAction(logDetails); // <-- Log failure action
-        return { outputKey };
+        // Transient Jira/network failures are retried in the background instead of being lost
+        let retryId = null;
+        if (error.retryable && queueOnFailure) {
+            try {
+                ({ id: retryId } = await enqueueRetry({ operation: 'create', payload, requestId, idempotencyKey: explicitIdempotencyKey, error: logDetails.message, retryAfterSeconds: error.retryAfterSeconds }));
+                outputKey = 'accepted-queued';
+                logDetails.message += ` Queued for retry (${retryId}).`;
+            } catch (queueError) {
+                console.error(`[${handlerName}] Failed to queue operation for retry:`, queueError);
+            }
+        }
+
+        // The user's refresh token was rejected: keep the operation and replay it once they reconnect
+        let reconnectId = null;
+        if (error.requiresReAuthentication && queueOnFailure) {
+            try {
+                ({ id: reconnectId } = await parkForReconnect({ operation: 'create', payload, accountId: logDetails.accountId, issueKey: logDetails.issueKey, requestId, idempotencyKey: explicitIdempotencyKey, error: logDetails.message }));
+                outputKey = 'accepted-awaiting-reconnect';
+                logDetails.message += ` Kept until the user reconnects (${reconnectId}).`;
+            } catch (parkError) {
+                console.error(`[${handlerName}] Failed to keep operation for reconnect:`, parkError);
+            }
+        }
+
+        await logAction({ ...logDetails, requestId }); // <-- Log failure action
+        return {
+            outputKey,
+            details: {
+                issueKey: payload?.issueKey || null,
+                message: logDetails.message,
+                ...(retryId && { retryId }),
+                ...(reconnectId && { reconnectId }),
+                ...(possibleDuplicateOf && { possibleDuplicateOf }),
+                ...(jiraErrors && { jiraErrors }),
+                ...(error.policyViolation && { policyViolation: error.policyViolation })
+            },
+            retryable: Boolean(error.retryable),
+            requiresReAuthentication: Boolean(error.requiresReAuthentication),
+            retryAfterSeconds: error.retryAfterSeconds,
+            accountId: logDetails.accountId
+        };
+    }
+}
+
+/**
+ * Handles the incoming webhook request to CREATE a Jira worklog.
+ */
+export const handler = async (req) => {
+    const requestId = createRequestId();
+    const deadline = createInvocationDeadline();
+    console.log(`[WorklogCreateHandler] Invoked. Request ID: ${requestId}`);
+
+    let payload;
+    try {
+        payload = await readWebhookRequest(req, 'Create', 'create');
+    } catch (error) {
+        await logAction({ actionType: 'create', success: false, issueKey: 'Unknown', accountId: 'Unknown', message: error.message, requestId });
+        return buildWebhookResponse(error.outputKey, requestId, { message: error.message });
     }
+
+    const { outputKey, details } = await createWorklog(payload, {
+        requestId,
+        deadline,
+        idempotencyKey: getHeaderValue(req.headers, 'idempotency-key')
+    });
+    return buildWebhookResponse(outputKey, requestId, details);
 }; 
\ No newline at end of file
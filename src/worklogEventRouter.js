@@ -0,0 +1,90 @@
+import { getHeaderValue } from './secureUtils';
+import { logAction } from './actionLogger';
+import { createInvocationDeadline } from './jiraApiHelper';
+import { readWebhookRequest } from './webhookRequest';
+import { buildWebhookResponse, createRequestId } from './webhookResponse';
+import { createWorklog } from './worklogCreateHandler';
+import { updateWorklog } from './worklogUpdateHandler';
+import { deleteWorklog } from './worklogDeleteHandler';
+import { getSetting } from './settingsStore';
+
+const OPERATIONS = {
+    create: createWorklog,
+    update: updateWorklog,
+    delete: deleteWorklog
+};
+
+// Events our time tracker sends out of the box
+const DEFAULT_EVENT_ROUTES = {
+    'hours:created': 'create',
+    'hours:updated': 'update',
+    'hours:deleted': 'delete'
+};
+
+/**
+ * Returns the event -> operation routing table.
+ * Extra aliases come from the worklogEventAliases setting as `event=operation` pairs, e.g. `entry.created=create`.
+ * @returns {Promise<Object<string, string>>} Lower-case event names mapped to 'create', 'update' or 'delete'.
+ */
+export async function getEventRoutes() {
+    const routes = { ...DEFAULT_EVENT_ROUTES };
+    // The settings store has already checked every pair
+    (await getSetting('worklogEventAliases')).forEach(pair => {
+        const [event, operation] = pair.split('=');
+        routes[event] = operation;
+    });
+    return routes;
+}
+
+/**
+ * Single webhook endpoint for all worklog events.
+ * Authenticates the request once (using the 'event' integration's auth mode), reads the payload's
+ * `event` field and runs the matching create, update or delete operation, so the response is the
+ * same as the dedicated endpoint would return.
+ */
+export const handler = async (req) => {
+    const handlerName = 'WorklogEventRouter';
+    const requestId = createRequestId();
+    const deadline = createInvocationDeadline();
+    console.log(`[${handlerName}] Invoked. Request ID: ${requestId}`);
+
+    let payload;
+    try {
+        payload = await readWebhookRequest(req, 'Event Routing', 'event');
+    } catch (error) {
+        await logAction({ actionType: 'route', success: false, issueKey: 'Unknown', accountId: 'Unknown', message: error.message, requestId });
+        return buildWebhookResponse(error.outputKey, requestId, { message: error.message });
+    }
+
+    const event = String(payload.event || '').trim().toLowerCase();
+    const routes = await getEventRoutes();
+    // Own keys only: an event such as 'constructor' must not resolve to an inherited property
+    const operation = Object.hasOwn(routes, event) ? routes[event] : null;
+
+    if (!operation) {
+        const message = event
+            ? `Unsupported event '${payload.event}'.`
+            : "Missing required field: event.";
+        console.error(`[${handlerName}] ${message}`);
+        await logAction({
+            actionType: 'route',
+            success: false,
+            issueKey: payload.issueKey || 'Unknown',
+            accountId: payload.userId || 'Unknown',
+            message,
+            requestId
+        });
+        return buildWebhookResponse('error-bad-request', requestId, {
+            message,
+            supportedEvents: Object.keys(routes)
+        });
+    }
+
+    console.log(`[${handlerName}] Routing event '${event}' to ${operation} operation.`);
+    const { outputKey, details } = await OPERATIONS[operation](payload, {
+        requestId,
+        deadline,
+        idempotencyKey: getHeaderValue(req.headers, 'idempotency-key')
+    });
+    return buildWebhookResponse(outputKey, requestId, details);
+};
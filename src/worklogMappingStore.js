@@ -0,0 +1,148 @@
+import { storage, startsWith } from '@forge/api';
+import crypto from 'crypto';
+
+const MAPPING_KEY_PREFIX = 'worklog_map:';
+const DEFAULT_SOURCE = 'default';
+const SAFE_KEY_PART = /^[A-Za-z0-9._-]{1,200}$/;
+
+/**
+ * Normalizes the `source` field of a webhook payload (e.g. 'zapier', 'harvest').
+ * Payloads without a source share the 'default' namespace.
+ * @param {string} [source] - The source name from the payload.
+ * @returns {string} A lower-case source safe to use in storage keys.
+ */
+export function normalizeSource(source) {
+    const normalized = String(source || DEFAULT_SOURCE).trim().toLowerCase().replace(/[^a-z0-9._-]/g, '-');
+    return normalized || DEFAULT_SOURCE;
+}
+
+/**
+ * Builds the storage key for a mapping. External IDs containing characters Forge
+ * storage keys don't allow are hashed; the original ID is kept in the stored value.
+ */
+function mappingKey(source, externalEntryId) {
+    const id = String(externalEntryId);
+    const keyPart = SAFE_KEY_PART.test(id)
+        ? id
+        : `h-${crypto.createHash('sha256').update(id).digest('hex')}`;
+    return `${MAPPING_KEY_PREFIX}${normalizeSource(source)}:${keyPart}`;
+}
+
+/**
+ * Records which Jira worklog was created for an external time entry.
+ * @param {object} mapping
+ * @param {string} [mapping.source] - The external system the entry came from.
+ * @param {string} mapping.externalEntryId - The entry ID in the external system.
+ * @param {string} mapping.issueKey - The Jira issue the worklog belongs to.
+ * @param {string} mapping.worklogId - The Jira worklog ID.
+ * @param {string} mapping.accountId - The Atlassian account that owns the worklog.
+ */
+export async function saveWorklogMapping({ source, externalEntryId, issueKey, worklogId, accountId }) {
+    const key = mappingKey(source, externalEntryId);
+    const now = new Date().toISOString();
+    const existing = await storage.get(key);
+    await storage.set(key, {
+        source: normalizeSource(source),
+        externalEntryId: String(externalEntryId),
+        issueKey,
+        worklogId: String(worklogId),
+        accountId,
+        createdAt: existing?.createdAt || now,
+        updatedAt: now
+    });
+    console.log(`[WorklogMappingStore] Saved mapping ${key} -> ${issueKey}/${worklogId}`);
+}
+
+/**
+ * Looks up the Jira worklog for an external time entry.
+ * @param {string} source - The external system the entry came from.
+ * @param {string} externalEntryId - The entry ID in the external system.
+ * @returns {Promise<Object|null>} The stored mapping, or null if none exists.
+ */
+export async function getWorklogMapping(source, externalEntryId) {
+    const mapping = await storage.get(mappingKey(source, externalEntryId));
+    return mapping || null;
+}
+
+/**
+ * Removes the mapping for an external time entry (after its worklog is deleted).
+ */
+export async function deleteWorklogMapping(source, externalEntryId) {
+    const key = mappingKey(source, externalEntryId);
+    await storage.delete(key);
+    console.log(`[WorklogMappingStore] Deleted mapping ${key}`);
+}
+
+/**
+ * Lists stored mappings, optionally limited to one source.
+ * @param {object} [options]
+ * @param {string} [options.source] - Only return mappings for this source.
+ * @param {string} [options.cursor] - Cursor returned by a previous call.
+ * @param {number} [options.limit=25] - Page size (max 100).
+ * @returns {Promise<{mappings: Object[], nextCursor: string|null}>}
+ */
+export async function listWorklogMappings({ source, cursor, limit = 25 } = {}) {
+    const prefix = source ? `${MAPPING_KEY_PREFIX}${normalizeSource(source)}:` : MAPPING_KEY_PREFIX;
+    let query = storage.query()
+        .where('key', startsWith(prefix))
+        .limit(Math.min(Math.max(Number(limit) || 25, 1), 100));
+    if (cursor) {
+        query = query.cursor(cursor);
+    }
+    const { results, nextCursor } = await query.getMany();
+    return {
+        mappings: results.map(({ value }) => value),
+        nextCursor: nextCursor || null
+    };
+}
+
+/**
+ * Resolves the Jira worklog an update/delete payload refers to.
+ * A payload may carry `worklogId` directly, or only `externalEntryId` (and optional `source`),
+ * in which case the identifiers recorded at create time are used. When it carries both, the explicit
+ * identifiers win, but the mapping is still returned so the caller can re-point or remove it.
+ * @param {object} payload - The parsed webhook payload.
+ * @returns {Promise<{accountId: string, issueKey: string, worklogId: string, source: string, mapping: Object|null}>}
+ * @throws {Error} - With an `outputKey` property when the mapping is missing or owned by another user.
+ */
+export async function resolveWorklogTarget(payload) {
+    const source = normalizeSource(payload.source);
+    const { externalEntryId } = payload;
+
+    if (!externalEntryId) {
+        return { accountId: payload.userId, issueKey: payload.issueKey, worklogId: payload.worklogId, source, mapping: null };
+    }
+
+    const mapping = await getWorklogMapping(source, externalEntryId);
+    if (!mapping) {
+        if (payload.worklogId) {
+            return { accountId: payload.userId, issueKey: payload.issueKey, worklogId: payload.worklogId, source, mapping: null };
+        }
+        const notFound = new Error(`No worklog mapping found for external entry '${externalEntryId}' (source: ${source}).`);
+        notFound.outputKey = 'error-not-found';
+        throw notFound;
+    }
+    if (payload.userId && payload.userId !== mapping.accountId) {
+        const forbidden = new Error(`External entry '${externalEntryId}' (source: ${source}) belongs to a different user.`);
+        forbidden.outputKey = 'error-forbidden';
+        throw forbidden;
+    }
+
+    if (payload.worklogId) {
+        if (String(payload.worklogId) !== String(mapping.worklogId)) {
+            console.warn(`[WorklogMappingStore] Payload worklogId ${payload.worklogId} differs from mapped worklog ${mapping.worklogId}; using the payload's worklog.`);
+        }
+        return {
+            accountId: payload.userId || mapping.accountId,
+            issueKey: payload.issueKey || mapping.issueKey,
+            worklogId: payload.worklogId,
+            source,
+            mapping
+        };
+    }
+    if (payload.issueKey && payload.issueKey !== mapping.issueKey) {
+        console.warn(`[WorklogMappingStore] Payload issueKey ${payload.issueKey} differs from mapped issue ${mapping.issueKey}; using the mapped issue.`);
+    }
+
+    return { accountId: mapping.accountId, issueKey: mapping.issueKey, worklogId: mapping.worklogId, source, mapping };
+}
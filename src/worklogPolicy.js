@@ -0,0 +1,135 @@
+import { asApp, route } from '@forge/api';
+import { logAction } from './actionLogger';
+import { isRetryableStatus } from './jiraApiHelper';
+import { getSettings } from './settingsStore';
+
+/**
+ * Compares a name against a configured list, ignoring case.
+ */
+function listIncludes(list, name) {
+    const lowerName = String(name || '').toLowerCase();
+    return list.some(entry => entry.toLowerCase() === lowerName);
+}
+
+/**
+ * Looks up the project, issue type and status of an issue as the app.
+ * @returns {Promise<{projectKey: string, issueType: string, status: string}|null>} null if the app cannot see the issue.
+ * @throws {Error} - `retryable` is set when Jira could not be asked; the rules are never skipped.
+ */
+async function getIssueAttributes(issueKey) {
+    const response = await asApp().requestJira(route`/rest/api/3/issue/${issueKey}?fields=project,issuetype,status`);
+    if (response.status === 404 || response.status === 403) {
+        return null;
+    }
+    if (!response.ok) {
+        const lookupError = new Error(`Could not check the worklog rules for ${issueKey}: Jira returned ${response.status}.`);
+        lookupError.retryable = isRetryableStatus(response.status);
+        throw lookupError;
+    }
+    const { fields } = await response.json();
+    return {
+        projectKey: fields?.project?.key || null,
+        issueType: fields?.issuetype?.name || null,
+        status: fields?.status?.name || null
+    };
+}
+
+/**
+ * Checks an issue against the worklog rules admins set (allowed and denied projects, issue types and statuses).
+ * Denials take precedence over allowlists. Once any rule is set, the issue is always looked up, since a key
+ * may still resolve after the issue moved to another project. The check fails closed: an issue the app
+ * cannot see, or whose project is unknown, is refused.
+ * @param {string} issueKey - The target issue (key or ID).
+ * @returns {Promise<{rule: string, message: string, projectKey: string|null, issueType?: string, status?: string}|null>}
+ *   The violated rule (a settings name, or 'issueNotVisible') and a message, or null if the issue is allowed.
+ * @throws {Error} - If the issue could not be looked up (see getIssueAttributes).
+ */
+export async function checkWorklogPolicy(issueKey) {
+    const settings = await getSettings();
+    const { allowedProjects, deniedProjects, allowedIssueTypes, deniedIssueTypes, allowedStatuses, deniedStatuses } = settings;
+    const rules = [allowedProjects, deniedProjects, allowedIssueTypes, deniedIssueTypes, allowedStatuses, deniedStatuses];
+    if (!rules.some(list => list.length > 0)) {
+        return null;
+    }
+
+    // The worklog is written with the user's token, but the rules must hold for issues the app cannot browse too
+    const attributes = await getIssueAttributes(issueKey);
+    if (!attributes?.projectKey) {
+        return {
+            rule: 'issueNotVisible',
+            message: `Issue ${issueKey} could not be checked against the worklog rules: the app cannot see it or its project.`,
+            projectKey: null
+        };
+    }
+    const { projectKey, issueType, status } = attributes;
+    const violation = (rule, message) => ({ rule, message, projectKey, ...(issueType && { issueType }), ...(status && { status }) });
+
+    if (deniedProjects.includes(projectKey)) {
+        return violation('deniedProjects', `Project ${projectKey} is closed to webhook worklogs.`);
+    }
+    if (allowedProjects.length > 0 && !allowedProjects.includes(projectKey)) {
+        return violation('allowedProjects', `Project ${projectKey} is not one of the projects webhooks may change worklogs in.`);
+    }
+    if (deniedIssueTypes.length > 0 && listIncludes(deniedIssueTypes, issueType)) {
+        return violation('deniedIssueTypes', `Worklogs on ${issueType} issues cannot be changed by webhooks.`);
+    }
+    if (allowedIssueTypes.length > 0 && !listIncludes(allowedIssueTypes, issueType)) {
+        return violation('allowedIssueTypes', `Issue type ${issueType} is not one of the types webhooks may change worklogs on.`);
+    }
+    if (deniedStatuses.length > 0 && listIncludes(deniedStatuses, status)) {
+        return violation('deniedStatuses', `Worklogs on issues in status ${status} cannot be changed by webhooks.`);
+    }
+    if (allowedStatuses.length > 0 && !listIncludes(allowedStatuses, status)) {
+        return violation('allowedStatuses', `Status ${status} is not one of the statuses in which webhooks may change worklogs.`);
+    }
+    return null;
+}
+
+/**
+ * Refuses a webhook operation that breaks the worklog rules.
+ * Writes a `policy` entry to the action log; the handler's own failure entry follows as usual.
+ * @param {string} operation - 'create', 'update' or 'delete'.
+ * @param {object} target
+ * @param {string} target.issueKey
+ * @param {string} target.accountId
+ * @param {string} [target.worklogId]
+ * @param {string} requestId - The webhook request ID.
+ * @throws {Error} - With `outputKey` 'error-policy-violation' and the violation as `policyViolation`, if a rule is broken.
+ */
+export async function enforceWorklogPolicy(operation, { issueKey, accountId, worklogId }, requestId) {
+    const violation = await checkWorklogPolicy(issueKey);
+    if (!violation) {
+        return;
+    }
+    console.warn(`[WorklogPolicy] Refused ${operation} on ${issueKey} for ${accountId}: ${violation.message}`);
+    await logAction({
+        actionType: 'policy',
+        success: false,
+        issueKey,
+        worklogId,
+        accountId,
+        message: `${operation} refused by rule ${violation.rule}: ${violation.message}`,
+        requestId
+    });
+    const policyError = new Error(`Policy violation: ${violation.message}`);
+    policyError.outputKey = 'error-policy-violation';
+    policyError.policyViolation = violation;
+    throw policyError;
+}
+
+/**
+ * Rounds a duration according to the `timeRoundingMode` and `timeRoundingMinutes` settings.
+ * The result is never below one increment, since Jira rejects empty worklogs.
+ * @param {number|string} timeSpentSeconds - The duration from the payload.
+ * @returns {Promise<number|string>} The rounded duration in seconds; non-numeric input is returned unchanged for Jira to reject.
+ */
+export async function applyTimeRounding(timeSpentSeconds) {
+    const { timeRoundingMode, timeRoundingMinutes } = await getSettings();
+    const seconds = Number(timeSpentSeconds);
+    if (timeRoundingMode === 'none' || !Number.isFinite(seconds) || seconds <= 0) {
+        return timeSpentSeconds;
+    }
+    const increment = timeRoundingMinutes * 60;
+    const round = { up: Math.ceil, down: Math.floor, nearest: Math.round }[timeRoundingMode];
+    return Math.max(round(seconds / increment), 1) * increment;
+}
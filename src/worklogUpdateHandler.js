@@ -1,53 +1,39 @@
-import { validateZapierSecret } from './secureUtils';
-import { callJiraApiWithRetry } from './jiraApiHelper';
+import { callJiraApiWithRetry, createInvocationDeadline, isRetryableStatus } from './jiraApiHelper';
 import { logAction } from './actionLogger';
+import { readWebhookRequest } from './webhookRequest';
+import { resolveWorklogTarget, saveWorklogMapping } from './worklogMappingStore';
+import { enqueueRetry, parkForReconnect } from './retryQueue';
+import { applyTimeRounding, enforceWorklogPolicy } from './worklogPolicy';
+import { buildWebhookResponse, createRequestId, outputKeyForJiraStatus, parseJiraError } from './webhookResponse';
 
 /**
- * Parses the request body, ensuring it's valid JSON.
+ * Updates a Jira worklog from an already authenticated webhook payload and logs the outcome.
+ * Shared by the update webhook and the batch webhook.
+ * @param {Object} payload - The parsed payload (worklogId or externalEntryId, userId, issueKey, started, timeSpentSeconds, ...).
+ * @param {object} options
+ * @param {string} options.requestId - The request ID returned to the caller.
+ * @param {Map} [options.authCache] - Per-invocation token cache, see callJiraApiWithRetry.
+ * @param {number} [options.deadline] - The invocation deadline, see createInvocationDeadline in jiraApiHelper.js.
+ * @param {boolean} [options.queueOnFailure=true] - Queue retryable failures for a later attempt, and keep failures that need the user to reconnect (the retry queue itself passes false).
+ * @returns {Promise<{outputKey: string, details: Object, retryable?: boolean, requiresReAuthentication?: boolean, accountId?: string}>} The output key and response details;
+ *   `retryable` marks failures worth trying again, `requiresReAuthentication` those that need the user to reconnect,
+ *   and `accountId` is the account a failed operation ran as.
  */
-function parseRequestBody(req) {
-    console.log('Attempting to parse request body for Update...');
-    if (!req.body) {
-        throw new Error('Request body is missing.');
-    }
-    try {
-        let payload;
-        if (typeof req.body === 'string') {
-            payload = JSON.parse(req.body);
-        } else {
-            payload = req.body; // Assume already object
-        }
-        console.log('Parsed payload:', payload);
-        if (Object.keys(payload).length === 0) {
-             throw new Error('Request body is empty or not valid JSON.');
-        }
-        return payload;
-    } catch (e) {
-        console.error("Failed to parse request body as JSON:", e);
-        console.error("Raw request body snippet:", String(req.body).substring(0, 200));
-        throw new Error('Invalid JSON payload in request body.');
-    }
-}
-
-/**
- * Handles the incoming webhook request to UPDATE a Jira worklog.
- */
-export const handler = async (req) => {
+export async function updateWorklog(payload, { requestId, authCache, deadline, queueOnFailure = true } = {}) {
     const handlerName = 'WorklogUpdateHandler';
-    console.log(`[${handlerName}] Invoked.`);
-    
+
     let outputKey = 'error-internal';
     let logDetails = {};
-    let payload = null;
+    let jiraErrors = null; // Parsed Jira error details, returned to the caller
 
     try {
-        await validateZapierSecret(req.headers);
-        payload = parseRequestBody(req);
-        const { userId, issueKey, started, timeSpentSeconds, worklogId } = payload;
-        const accountId = userId;
+        const { started, timeSpentSeconds, externalEntryId, comment, commentFormat } = payload;
+        // Store details for logging (refined once the target worklog is resolved)
+        logDetails = { actionType: 'update', success: false, issueKey: payload.issueKey, worklogId: payload.worklogId, accountId: payload.userId };
 
-        // Store details for logging
-        logDetails = { actionType: 'update', success: false, issueKey, worklogId, accountId };
+        // worklogId may be omitted when the entry was created with an externalEntryId
+        const { accountId, issueKey, worklogId, source, mapping } = await resolveWorklogTarget(payload);
+        logDetails = { ...logDetails, issueKey, worklogId, accountId };
 
         if (!accountId || !issueKey || !started || timeSpentSeconds === undefined || !worklogId) {
             const missing = [
@@ -55,35 +41,34 @@ export const handler = async (req) => {
                 !issueKey && 'issueKey',
                 !started && 'started',
                 timeSpentSeconds === undefined && 'timeSpentSeconds',
-                !worklogId && 'worklogId'
+                !worklogId && 'worklogId (or externalEntryId)'
             ].filter(Boolean).join(', ');
             console.error(`[${handlerName}] Invalid payload - missing required fields: ${missing}. Payload:`, payload);
             outputKey = 'error-bad-request';
             logDetails.message = `Missing required fields: ${missing}.`; // Log error detail
             throw new Error(`Missing required fields in payload for update: ${missing}.`);
         }
+
+        // Refuse issues outside the worklog rules admins set (projects, issue types, statuses)
+        await enforceWorklogPolicy('update', { issueKey, accountId, worklogId }, requestId);
         console.log(`[${handlerName}] Processing UPDATE request for user: ${accountId}, issue: ${issueKey}, worklog: ${worklogId}`);
 
-        const payloadForApi = { started, timeSpentSeconds };
-        const apiResult = await callJiraApiWithRetry(accountId, 'PUT', issueKey, payloadForApi, worklogId);
+        const payloadForApi = { started, timeSpentSeconds: await applyTimeRounding(timeSpentSeconds), comment, commentFormat };
+        const apiResult = await callJiraApiWithRetry(accountId, 'PUT', issueKey, payloadForApi, worklogId, { authCache, requestId, deadline });
 
         if (!apiResult.response.ok) {
             const errorBody = await apiResult.response.text();
             console.error(`[${handlerName}] Jira API call failed. Status: ${apiResult.status}, Issue: ${issueKey}, Worklog: ${worklogId}, Body: ${errorBody}`);
             // Map status codes
-            if (apiResult.status === 400) outputKey = 'error-bad-request';
-            else if (apiResult.status === 401) outputKey = 'error-unauthorized';
-            else if (apiResult.status === 403) outputKey = 'error-forbidden';
-            else if (apiResult.status === 404) outputKey = 'error-not-found';
-            else outputKey = 'error-jira-api';
-            
-            let errorMessage = `Jira API error (Status: ${apiResult.status}).`;
-            try {
-                const jiraError = JSON.parse(errorBody);
-                errorMessage = jiraError.errorMessages?.join(', ') || JSON.stringify(jiraError.errors) || errorMessage;
-            } catch (e) { /* Ignore parse error */ }
+            outputKey = outputKeyForJiraStatus(apiResult.status);
+
+            const { message: errorMessage, errorMessages, errors } = parseJiraError(errorBody, apiResult.status);
+            jiraErrors = { status: apiResult.status, errorMessages, errors };
             logDetails.message = `Jira API Error: ${apiResult.status} - ${errorMessage}`; // Log error detail
-            throw new Error(errorMessage);
+            const apiError = new Error(errorMessage);
+            apiError.retryable = isRetryableStatus(apiResult.status);
+            apiError.retryAfterSeconds = apiResult.retryAfterSeconds;
+            throw apiError;
         }
 
         const responseData = await apiResult.response.json();
@@ -91,23 +76,40 @@ export const handler = async (req) => {
         console.log(`[${handlerName}] <<< Worklog UPDATED Successfully >>> Issue: ${issueKey}, Worklog ID: ${responseData.id}, User: ${accountId}`);
         // --- End Log ---
 
+        if (mapping) {
+            try {
+                await saveWorklogMapping({ source, externalEntryId, issueKey, worklogId, accountId });
+            } catch (mappingError) {
+                console.error(`[${handlerName}] Failed to touch mapping for external entry ${externalEntryId}:`, mappingError);
+            }
+        }
+
         outputKey = 'success-updated';
         logDetails.success = true; // Mark success
         logDetails.message = `Worklog ${responseData.id} updated successfully.`; // Success message
-        await logAction(logDetails); // Log success action
-        return { outputKey }; // Return static success key
+        await logAction({ ...logDetails, requestId }); // Log success action
+        return {
+            outputKey,
+            details: {
+                action: 'updated',
+                worklogId: responseData.id,
+                issueKey,
+                ...(externalEntryId && { source, externalEntryId }),
+                started: responseData.started,
+                timeSpentSeconds: responseData.timeSpentSeconds
+            }
+        };
 
     } catch (error) {
         console.error(`[${handlerName}] Error:`, error);
         // Map errors to output keys
-        if (error.message.includes("secret")) outputKey = 'error-unauthorized';
+        if (error.outputKey) outputKey = error.outputKey;
         else if (error.message.includes("payload") || error.message.includes("Missing required fields")) outputKey = 'error-bad-request';
         else if (error.message.includes("re-authenticate")) outputKey = 'error-unauthorized';
         else if (error.message.includes("Not Found")) outputKey = 'error-not-found'; // Catch 404 from API error message
         // Use API status mapping if available, otherwise default internal
         outputKey = outputKey || 'error-internal';
 
-        // Now this is safe because payload is declared in the outer scope
         logDetails.actionType = logDetails.actionType || 'update';
         logDetails.success = false;
         logDetails.issueKey = logDetails.issueKey || payload?.issueKey || 'Unknown';
@@ -115,7 +117,67 @@ export const handler = async (req) => {
         logDetails.accountId = logDetails.accountId || payload?.userId || 'Unknown';
         logDetails.message = logDetails.message || error.message;
 
-        await logAction(logDetails); // Log failure action
-        return { outputKey };
+        // Transient Jira/network failures are retried in the background instead of being lost
+        let retryId = null;
+        if (error.retryable && queueOnFailure) {
+            try {
+                ({ id: retryId } = await enqueueRetry({ operation: 'update', payload, requestId, error: logDetails.message, retryAfterSeconds: error.retryAfterSeconds }));
+                outputKey = 'accepted-queued';
+                logDetails.message += ` Queued for retry (${retryId}).`;
+            } catch (queueError) {
+                console.error(`[${handlerName}] Failed to queue operation for retry:`, queueError);
+            }
+        }
+
+        // The user's refresh token was rejected: keep the operation and replay it once they reconnect
+        let reconnectId = null;
+        if (error.requiresReAuthentication && queueOnFailure) {
+            try {
+                ({ id: reconnectId } = await parkForReconnect({ operation: 'update', payload, accountId: logDetails.accountId, issueKey: logDetails.issueKey, requestId, error: logDetails.message }));
+                outputKey = 'accepted-awaiting-reconnect';
+                logDetails.message += ` Kept until the user reconnects (${reconnectId}).`;
+            } catch (parkError) {
+                console.error(`[${handlerName}] Failed to keep operation for reconnect:`, parkError);
+            }
+        }
+
+        await logAction({ ...logDetails, requestId }); // Log failure action
+        return {
+            outputKey,
+            details: {
+                worklogId: payload?.worklogId || null,
+                issueKey: payload?.issueKey || null,
+                ...(payload?.externalEntryId && { externalEntryId: payload.externalEntryId }),
+                message: logDetails.message,
+                ...(retryId && { retryId }),
+                ...(reconnectId && { reconnectId }),
+                ...(jiraErrors && { jiraErrors }),
+                ...(error.policyViolation && { policyViolation: error.policyViolation })
+            },
+            retryable: Boolean(error.retryable),
+            requiresReAuthentication: Boolean(error.requiresReAuthentication),
+            retryAfterSeconds: error.retryAfterSeconds,
+            accountId: logDetails.accountId
+        };
     }
-}; 
\ No newline at end of file
+}
+
+/**
+ * Handles the incoming webhook request to UPDATE a Jira worklog.
+ */
+export const handler = async (req) => {
+    const requestId = createRequestId();
+    const deadline = createInvocationDeadline();
+    console.log(`[WorklogUpdateHandler] Invoked. Request ID: ${requestId}`);
+
+    let payload;
+    try {
+        payload = await readWebhookRequest(req, 'Update', 'update');
+    } catch (error) {
+        await logAction({ actionType: 'update', success: false, issueKey: 'Unknown', accountId: 'Unknown', message: error.message, requestId });
+        return buildWebhookResponse(error.outputKey, requestId, { message: error.message });
+    }
+
+    const { outputKey, details } = await updateWorklog(payload, { requestId, deadline });
+    return buildWebhookResponse(outputKey, requestId, details);
+};
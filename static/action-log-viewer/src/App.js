@@ -1,67 +1,92 @@
-import React, { useEffect, useState, useMemo } from 'react';
+import React, { useEffect, useState, useCallback } from 'react';
 import { invoke } from '@forge/bridge';
 
+const EMPTY_FILTERS = { actionType: 'all', status: 'all', issueKey: '', accountId: '', fromDate: '', toDate: '' };
+
+/**
+ * Turns the filter form into the resolver payload (date inputs cover whole local days).
+ */
+function toQuery(filters) {
+    return {
+        actionType: filters.actionType,
+        success: filters.status,
+        issueKey: filters.issueKey.trim() || undefined,
+        accountId: filters.accountId.trim() || undefined,
+        from: filters.fromDate ? new Date(`${filters.fromDate}T00:00:00`).toISOString() : undefined,
+        to: filters.toDate ? new Date(`${filters.toDate}T23:59:59.999`).toISOString() : undefined
+    };
+}
+
 function App() {
     const [logs, setLogs] = useState(null);
+    const [nextCursor, setNextCursor] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [ownEntriesOnly, setOwnEntriesOnly] = useState(false);
 
     // --- Filter State --- 
-    const [filterActionType, setFilterActionType] = useState('all');
-    const [filterStatus, setFilterStatus] = useState('all');
-    const [filterIssueKey, setFilterIssueKey] = useState('');
-    const [filterAccountId, setFilterAccountId] = useState('');
+    const [filters, setFilters] = useState(EMPTY_FILTERS); // What the form shows
+    const [appliedFilters, setAppliedFilters] = useState(EMPTY_FILTERS); // What the loaded logs were queried with
     // --- End Filter State ---
 
-    useEffect(() => {
+    const fetchLogs = useCallback(async (queryFilters, cursor = null) => {
         setIsLoading(true);
-        invoke('getActionLogFn') // Ensure this matches the corrected function key
-            .then(fetchedLogs => {
-                console.log("Fetched logs:", fetchedLogs);
-                // Ensure logs is always an array
-                setLogs(Array.isArray(fetchedLogs) ? fetchedLogs : []); 
-                setIsLoading(false);
-            })
-            .catch(err => {
-                console.error("Error fetching logs:", err);
-                setError("Failed to load action logs.");
-                setLogs([]); // Set empty array on error
-                setIsLoading(false);
-            });
+        setError(null);
+        try {
+            const result = await invoke('getActionLogFn', { ...toQuery(queryFilters), cursor }); // Ensure this matches the corrected function key
+            console.log("Fetched logs:", result);
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            const entries = Array.isArray(result?.entries) ? result.entries : [];
+            setLogs(prev => (cursor && prev ? [...prev, ...entries] : entries));
+            setNextCursor(result?.nextCursor || null);
+            setOwnEntriesOnly(Boolean(result?.ownEntriesOnly));
+        } catch (err) {
+            console.error("Error fetching logs:", err);
+            setError("Failed to load action logs.");
+            if (!cursor) setLogs([]); // Set empty array on error
+        } finally {
+            setIsLoading(false);
+        }
     }, []);
 
-    // --- Apply Filters --- 
-    const filteredLogs = useMemo(() => {
-        if (!logs) return [];
-        return logs.filter(log => {
-            const actionTypeMatch = filterActionType === 'all' || log.actionType === filterActionType;
-            const statusMatch = filterStatus === 'all' || String(log.success) === filterStatus;
-            const issueKeyMatch = !filterIssueKey || log.issueKey?.toUpperCase().includes(filterIssueKey.toUpperCase());
-            const accountIdMatch = !filterAccountId || log.accountId?.toUpperCase().includes(filterAccountId.toUpperCase());
-            return actionTypeMatch && statusMatch && issueKeyMatch && accountIdMatch;
-        });
-    }, [logs, filterActionType, filterStatus, filterIssueKey, filterAccountId]);
-    // --- End Apply Filters ---
+    useEffect(() => {
+        fetchLogs(EMPTY_FILTERS);
+    }, [fetchLogs]);
+
+    const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+    const handleApplyFilters = () => {
+        setAppliedFilters(filters);
+        fetchLogs(filters);
+    };
 
     const handleClearFilters = () => {
-        setFilterActionType('all');
-        setFilterStatus('all');
-        setFilterIssueKey('');
-        setFilterAccountId('');
+        setFilters(EMPTY_FILTERS);
+        setAppliedFilters(EMPTY_FILTERS);
+        fetchLogs(EMPTY_FILTERS);
     };
 
+    const hasFilters = JSON.stringify(appliedFilters) !== JSON.stringify(EMPTY_FILTERS);
+
     return (
         <div>
             {/* --- Filter Controls --- */} 
             <div style={{ marginBottom: '20px', padding: '15px', border: '1px solid #ccc', borderRadius: '5px', display: 'flex', gap: '15px', alignItems: 'center', flexWrap: 'wrap' }}>
                 <strong>Filters:</strong>
-                <select value={filterActionType} onChange={e => setFilterActionType(e.target.value)}>
+                <select value={filters.actionType} onChange={e => updateFilter('actionType', e.target.value)}>
                     <option value="all">All Actions</option>
                     <option value="create">Create</option>
                     <option value="update">Update</option>
                     <option value="delete">Delete</option>
+                    <option value="route">Event Routing</option>
+                    <option value="batch">Batch</option>
+                    <option value="jira-call">Jira API Attempt</option>
+                    <option value="policy">Policy Violation</option>
+                    <option value="disconnect">Disconnect</option>
                 </select>
-                <select value={filterStatus} onChange={e => setFilterStatus(e.target.value)}>
+                <select value={filters.status} onChange={e => updateFilter('status', e.target.value)}>
                     <option value="all">All Statuses</option>
                     <option value="true">Success</option>
                     <option value="false">Failed</option>
@@ -69,27 +94,40 @@ function App() {
                 <input 
                     type="text" 
                     placeholder="Filter by Issue Key..." 
-                    value={filterIssueKey}
-                    onChange={e => setFilterIssueKey(e.target.value)}
-                    style={{ padding: '5px' }}
-                />
-                <input 
-                    type="text" 
-                    placeholder="Filter by Account ID..." 
-                    value={filterAccountId}
-                    onChange={e => setFilterAccountId(e.target.value)}
+                    value={filters.issueKey}
+                    onChange={e => updateFilter('issueKey', e.target.value)}
                     style={{ padding: '5px' }}
                 />
-                <button onClick={handleClearFilters}>Clear Filters</button>
+                {!ownEntriesOnly && (
+                    <input 
+                        type="text" 
+                        placeholder="Filter by Account ID..." 
+                        value={filters.accountId}
+                        onChange={e => updateFilter('accountId', e.target.value)}
+                        style={{ padding: '5px' }}
+                    />
+                )}
+                <label>
+                    From{' '}
+                    <input type="date" value={filters.fromDate} onChange={e => updateFilter('fromDate', e.target.value)} />
+                </label>
+                <label>
+                    To{' '}
+                    <input type="date" value={filters.toDate} onChange={e => updateFilter('toDate', e.target.value)} />
+                </label>
+                <button onClick={handleApplyFilters} disabled={isLoading}>Apply Filters</button>
+                <button onClick={handleClearFilters} disabled={isLoading}>Clear Filters</button>
             </div>
             {/* --- End Filter Controls --- */} 
 
-            {isLoading && <p>Loading logs...</p>}
+            {ownEntriesOnly && <p style={{ color: '#6B778C' }}>Showing your own log entries only.</p>}
+
+            {isLoading && !logs?.length && <p>Loading logs...</p>}
             {error && <p style={{ color: 'red' }}>Error: {error}</p>}
-            {!isLoading && logs && filteredLogs.length === 0 && (
-                <p>No log entries found{logs.length > 0 ? ' matching your filters' : ''}.</p>
+            {!isLoading && logs && logs.length === 0 && (
+                <p>No log entries found{hasFilters ? ' matching your filters' : ''}{nextCursor ? ' yet' : ''}.</p>
             )}
-            {!isLoading && filteredLogs.length > 0 && (
+            {logs && logs.length > 0 && (
                 <table style={{ width: '100%', borderCollapse: 'collapse' }}>
                     <thead>
                         <tr style={{ borderBottom: '1px solid #ccc', textAlign: 'left' }}>
@@ -103,7 +141,7 @@ function App() {
                         </tr>
                     </thead>
                     <tbody>
-                        {filteredLogs.map((log, index) => (
+                        {logs.map((log, index) => (
                             <tr key={index} style={{ borderBottom: '1px solid #eee' }}>
                                 <td style={{ padding: '4px 0' }}>{new Date(log.timestamp).toLocaleString()}</td>
                                 <td style={{ padding: '4px 0' }}>{log.actionType}</td>
@@ -119,6 +157,11 @@ function App() {
                     </tbody>
                 </table>
             )}
+            {nextCursor && (
+                <button onClick={() => fetchLogs(appliedFilters, nextCursor)} disabled={isLoading} style={{ marginTop: '15px' }}>
+                    {isLoading ? 'Loading...' : 'Load More'}
+                </button>
+            )}
         </div>
     );
 }
@@ -94,9 +94,12 @@ function CopyableInput({ label, value, id }) {
 export default function App() {
   const [loading, setLoading] = useState(true);
   const [isAdmin, setIsAdmin] = useState(false);
+  const [canManageIntegration, setCanManageIntegration] = useState(false);
   const [accountId, setAccountId] = useState(null);
   const [zapierSecret, setZapierSecret] = useState(null);
-  const [webhookUrls, setWebhookUrls] = useState({ create: null, update: null, delete: null });
+  const [sharedSecrets, setSharedSecrets] = useState([]);
+  const [webhookUrls, setWebhookUrls] = useState({ event: null, batch: null, create: null, update: null, delete: null });
+  const [webhookAuthModes, setWebhookAuthModes] = useState(null);
   const [generatingSecret, setGeneratingSecret] = useState(false);
   const [authStatus, setAuthStatus] = useState({ checking: true, authenticated: false, expiresAt: null, timestamp: null, error: null });
   const [generalError, setGeneralError] = useState(null);
@@ -114,17 +117,23 @@ export default function App() {
       }
       
       setIsAdmin(contextData.isAdmin || false);
+      setCanManageIntegration(contextData.role === 'admin' || contextData.role === 'integration-manager');
       setAuthStatus(contextData.authStatus || { checking: false, authenticated: false, error: 'Auth status missing' });
       setZapierSecret(contextData.zapierSecret);
-      setWebhookUrls(contextData.webhookUrls || { create: null, update: null, delete: null });
+      setSharedSecrets(contextData.sharedSecrets || []);
+      setWebhookUrls(contextData.webhookUrls || { event: null, batch: null, create: null, update: null, delete: null });
+      setWebhookAuthModes(contextData.webhookAuthModes || null);
 
     } catch (err) {
       console.error('[fetchAdminContext] Failed to load context:', err);
       setGeneralError(err.message || 'Failed to load application context.');
       setIsAdmin(false);
+      setCanManageIntegration(false);
       setAuthStatus({ checking: false, authenticated: false, error: 'Context load failed' });
       setZapierSecret(null);
-      setWebhookUrls({ create: null, update: null, delete: null });
+      setSharedSecrets([]);
+      setWebhookUrls({ event: null, batch: null, create: null, update: null, delete: null });
+      setWebhookAuthModes(null);
     } finally {
       setLoading(false);
     }
@@ -134,12 +143,13 @@ export default function App() {
     fetchAdminContext();
   }, [fetchAdminContext]);
 
-  const handleRegenerateSecret = useCallback(async () => {
+  const handleRegenerateSecret = useCallback(async (label) => {
     setGeneratingSecret(true);
     try {
-      const result = await invoke('regenerateZapierSecret');
+      const result = await invoke('regenerateZapierSecret', { label });
       if (result && result.newSecret) {
         setZapierSecret(result.newSecret);
+        setSharedSecrets(result.sharedSecrets || []);
       } else {
         console.error('Regenerate secret did not return a new secret.');
       }
@@ -150,6 +160,12 @@ export default function App() {
     }
   }, []);
 
+  const handleRevokeSecret = useCallback(async (secretId) => {
+    const result = await invoke('revokeZapierSecret', { secretId });
+    setZapierSecret(result?.zapierSecret || null);
+    setSharedSecrets(result?.sharedSecrets || []);
+  }, []);
+
   useEffect(() => {
     const checkAuthOnFocus = async () => {
         await new Promise(resolve => setTimeout(resolve, 250));
@@ -180,24 +196,31 @@ export default function App() {
       <h1>🛠️ Worklog Manager</h1>
       {accountId ? <p>You are logged in as: <code>{accountId}</code></p> : null}
 
-      {isAdmin ? (
+      {canManageIntegration ? (
         <AdminView
+          isAdmin={isAdmin}
           zapierSecret={zapierSecret}
           webhookUrls={webhookUrls}
+          webhookAuthModes={webhookAuthModes}
+          sharedSecrets={sharedSecrets}
           onGenerateSecret={handleRegenerateSecret}
+          onRevokeSecret={handleRevokeSecret}
           generating={generatingSecret}
           authStatus={authStatus}
+          onDisconnected={fetchAdminContext}
         />
       ) : (
         <UserView
           authStatus={authStatus}
+          onDisconnected={fetchAdminContext}
         />
       )}
     </div>
   );
 }
 
-function AdminView({ zapierSecret, webhookUrls, onGenerateSecret, generating, authStatus }) {
+function AdminView({ isAdmin, zapierSecret, webhookUrls, webhookAuthModes, sharedSecrets, onGenerateSecret, onRevokeSecret, generating, authStatus, onDisconnected }) {
+  const [secretLabel, setSecretLabel] = useState('');
   const secretDisplayValue = typeof zapierSecret === 'string' && zapierSecret.startsWith('{Error') 
     ? 'Error retrieving secret' 
     : zapierSecret;
@@ -205,16 +228,31 @@ function AdminView({ zapierSecret, webhookUrls, onGenerateSecret, generating, au
   return (
     <div style={{ marginTop: '2rem' }}>
       <h2>🔐 Admin Panel</h2>
+      {!isAdmin && <p style={{ color: '#6B778C' }}>You are an integration manager. Connected users and role grants are managed by Jira administrators.</p>}
       <div style={{ display: 'flex', flexDirection: 'column', gap: '24px' }}>
         <div style={styles.sectionContainer}>
           <h3 style={styles.sectionHeader}>Zapier Integration</h3>
-          <button
-            onClick={onGenerateSecret}
-            disabled={generating}
-            style={styles.actionButton}
-          >
-            {generating ? 'Generating...' : (zapierSecret && !zapierSecret.startsWith('{Error')) ? 'Regenerate Secret' : 'Generate Secret'}
-          </button>
+          <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap' }}>
+            <input
+              type="text"
+              placeholder="Label for the new secret (optional)"
+              value={secretLabel}
+              onChange={e => setSecretLabel(e.target.value)}
+              style={{ padding: '6px', minWidth: '260px' }}
+            />
+            <button
+              onClick={async () => { await onGenerateSecret(secretLabel); setSecretLabel(''); }}
+              disabled={generating}
+              style={styles.actionButton}
+            >
+              {generating ? 'Generating...' : (zapierSecret && !zapierSecret.startsWith('{Error')) ? 'Regenerate Secret' : 'Generate Secret'}
+            </button>
+          </div>
+          {zapierSecret && !zapierSecret.startsWith('{Error') && (
+            <p style={{ color: '#6B778C', marginBottom: 0 }}>
+              Regenerating keeps the current secret working for a grace period (<strong>Secret rotation grace period</strong> under Settings, default 24h) so Zaps can be updated without downtime.
+            </p>
+          )}
 
           {zapierSecret && !zapierSecret.startsWith('{Error') && (
             <div style={{ marginTop: '16px', display: 'flex', flexDirection: 'column', gap: '12px' }}>
@@ -223,6 +261,16 @@ function AdminView({ zapierSecret, webhookUrls, onGenerateSecret, generating, au
                     label="Header (x-zapier-secret)"
                     value={secretDisplayValue || 'Secret not set or error.'} 
                 />
+                <CopyableInput 
+                    id="webhook-event"
+                    label="Event Webhook URL (routes on the event field)"
+                    value={webhookUrls?.event || 'Not available'} 
+                />
+                <CopyableInput 
+                    id="webhook-batch"
+                    label="Batch Webhook URL"
+                    value={webhookUrls?.batch || 'Not available'} 
+                />
                 <CopyableInput 
                     id="webhook-create"
                     label="Create Worklog URL"
@@ -246,16 +294,34 @@ function AdminView({ zapierSecret, webhookUrls, onGenerateSecret, generating, au
            {!zapierSecret && !generating && (
                <p style={{color: 'orange', marginTop: '10px'}}>No Zapier secret is currently configured. Click 'Generate Secret'.</p>
            )}
+           <SharedSecretsTable secrets={sharedSecrets} onRevoke={onRevokeSecret} />
         </div>
 
+        <WebhookAuthSection initialModes={webhookAuthModes} />
+
+        <WorklogMappingsSection />
+
+        <DeadLetterSection />
+
+        {isAdmin ? <ConnectedUsersSection /> : null}
+
+        {isAdmin ? <IntegrationManagersSection /> : null}
+
+        {isAdmin ? <SettingsSection /> : null}
+
+        {isAdmin ? <AuditLogSection /> : null}
+
         <div style={styles.sectionContainer}>
           <h3 style={styles.sectionHeader}>OAuth Status</h3>
+          <ReconnectWarning authStatus={authStatus} />
           {authStatus.checking ? (
             <p>Checking authentication status...</p>
           ) : authStatus.authenticated ? (
             <div>
               <p style={styles.successMessage}>✅ Your account is connected</p>
+              <JiraSiteStatus authStatus={authStatus} />
               <TokenInfo expiresAt={authStatus.expiresAt} timestamp={authStatus.timestamp} />
+              <DisconnectButton onDisconnected={onDisconnected} />
             </div>
           ) : (
             <div>
@@ -269,10 +335,874 @@ function AdminView({ zapierSecret, webhookUrls, onGenerateSecret, generating, au
   );
 }
 
-function UserView({ authStatus }) {
+// --- Shared Secrets Table Component --- //
+const SECRET_STATUS_COLORS = { active: '#00875A', expired: '#6B778C', revoked: '#DE350B' };
+
+function SharedSecretsTable({ secrets, onRevoke }) {
+  const [revoking, setRevoking] = useState(null);
+  const [error, setError] = useState(null);
+
+  if (!secrets || secrets.length === 0) return null;
+
+  const handleRevoke = async (secret) => {
+    if (!window.confirm(`Revoke '${secret.label}'? Requests using it will be rejected immediately.`)) return;
+    setRevoking(secret.id);
+    setError(null);
+    try {
+      await onRevoke(secret.id);
+    } catch (err) {
+      console.error('[SharedSecretsTable] Failed to revoke secret:', err);
+      setError(err.message || 'Failed to revoke secret.');
+    } finally {
+      setRevoking(null);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '16px' }}>
+      <h4 style={{ margin: '0 0 8px 0' }}>Secrets</h4>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      <table style={styles.table}>
+        <thead>
+          <tr>
+            <th style={styles.tableHeader}>Label</th>
+            <th style={styles.tableHeader}>Secret</th>
+            <th style={styles.tableHeader}>Status</th>
+            <th style={styles.tableHeader}>Created</th>
+            <th style={styles.tableHeader}>Last Used</th>
+            <th style={styles.tableHeader}>Expires</th>
+            <th style={styles.tableHeader}></th>
+          </tr>
+        </thead>
+        <tbody>
+          {secrets.map(secret => (
+            <tr key={secret.id}>
+              <td style={styles.tableCell}>{secret.label}</td>
+              <td style={styles.tableCell}><code>{secret.preview}</code></td>
+              <td style={{ ...styles.tableCell, color: SECRET_STATUS_COLORS[secret.status] }}>{secret.status}</td>
+              <td style={styles.tableCell}>{secret.createdAt ? formatTimestamp(secret.createdAt) : 'Unknown'}</td>
+              <td style={styles.tableCell}>{secret.lastUsedAt ? formatTimestamp(secret.lastUsedAt) : 'Never'}</td>
+              <td style={styles.tableCell}>
+                {secret.revokedAt ? `Revoked ${formatTimestamp(secret.revokedAt)}` : secret.expiresAt ? formatTimestamp(secret.expiresAt) : '—'}
+              </td>
+              <td style={styles.tableCell}>
+                {secret.status === 'active' && (
+                  <button onClick={() => handleRevoke(secret)} disabled={revoking !== null} style={styles.actionButton}>
+                    {revoking === secret.id ? 'Revoking...' : 'Revoke'}
+                  </button>
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+// --- Webhook Authentication Component --- //
+const WEBHOOK_INTEGRATION_LABELS = {
+  event: 'Event Webhook',
+  batch: 'Batch Webhook',
+  create: 'Create Worklog',
+  update: 'Update Worklog',
+  delete: 'Delete Worklog'
+};
+
+function WebhookAuthSection({ initialModes }) {
+  const [modes, setModes] = useState(initialModes);
+  const [saving, setSaving] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setModes(initialModes);
+  }, [initialModes]);
+
+  const handleModeChange = async (integration, mode) => {
+    setSaving(integration);
+    setError(null);
+    try {
+      const result = await invoke('setWebhookAuthMode', { integration, mode });
+      setModes(result?.webhookAuthModes || modes);
+    } catch (err) {
+      console.error('[WebhookAuthSection] Failed to set auth mode:', err);
+      setError(err.message || 'Failed to change authentication mode.');
+    } finally {
+      setSaving(null);
+    }
+  };
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Webhook Authentication</h3>
+      <p style={{ marginTop: 0 }}>
+        <strong>Legacy</strong> accepts the secret in the <code>X-Zapier-Secret</code> header.{' '}
+        <strong>Signed</strong> requires an HMAC-SHA256 signature in <code>X-Signature</code> plus an <code>X-Signature-Timestamp</code> header, and rejects old or replayed requests.
+      </p>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {modes ? (
+        <table style={styles.table}>
+          <tbody>
+            {Object.keys(WEBHOOK_INTEGRATION_LABELS).map(integration => (
+              <tr key={integration}>
+                <td style={styles.tableCell}>{WEBHOOK_INTEGRATION_LABELS[integration]}</td>
+                <td style={styles.tableCell}>
+                  <select
+                    value={modes[integration] || 'legacy'}
+                    onChange={e => handleModeChange(integration, e.target.value)}
+                    disabled={saving !== null}
+                    style={{ padding: '4px' }}
+                  >
+                    <option value="legacy">Legacy header</option>
+                    <option value="signed">Signed</option>
+                  </select>
+                  {saving === integration && <span style={{ marginLeft: '8px', color: '#6B778C' }}>Saving...</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p style={{ color: '#6B778C' }}>Authentication modes not available.</p>
+      )}
+    </div>
+  );
+}
+
+// --- Worklog Mappings Component --- //
+function WorklogMappingsSection() {
+  const [source, setSource] = useState('');
+  const [externalEntryId, setExternalEntryId] = useState('');
+  const [mappings, setMappings] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadMappings = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await invoke('getWorklogMappings', {
+        source: source || undefined,
+        externalEntryId: externalEntryId || undefined,
+        cursor
+      });
+      setMappings(prev => cursor ? [...prev, ...(result?.mappings || [])] : (result?.mappings || []));
+      setNextCursor(result?.nextCursor || null);
+    } catch (err) {
+      console.error('[WorklogMappingsSection] Failed to load mappings:', err);
+      setError(err.message || 'Failed to load mappings.');
+    } finally {
+      setLoading(false);
+    }
+  }, [source, externalEntryId]);
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Worklog Mappings</h3>
+      <p style={{ marginTop: 0 }}>External time entries created with an <code>externalEntryId</code> and the Jira worklogs they map to.</p>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <input type="text" placeholder="Source (optional)" value={source} onChange={e => setSource(e.target.value)} style={{ padding: '6px' }} />
+        <input type="text" placeholder="External entry ID (optional)" value={externalEntryId} onChange={e => setExternalEntryId(e.target.value)} style={{ padding: '6px' }} />
+        <button onClick={() => loadMappings()} disabled={loading} style={styles.actionButton}>
+          {loading ? 'Loading...' : 'Look Up'}
+        </button>
+      </div>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {mappings.length > 0 ? (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.tableHeader}>Source</th>
+              <th style={styles.tableHeader}>External Entry</th>
+              <th style={styles.tableHeader}>Issue</th>
+              <th style={styles.tableHeader}>Worklog ID</th>
+              <th style={styles.tableHeader}>Account ID</th>
+              <th style={styles.tableHeader}>Updated</th>
+            </tr>
+          </thead>
+          <tbody>
+            {mappings.map(mapping => (
+              <tr key={`${mapping.source}:${mapping.externalEntryId}`}>
+                <td style={styles.tableCell}>{mapping.source}</td>
+                <td style={styles.tableCell}>{mapping.externalEntryId}</td>
+                <td style={styles.tableCell}>{mapping.issueKey}</td>
+                <td style={styles.tableCell}>{mapping.worklogId}</td>
+                <td style={styles.tableCell}>{mapping.accountId}</td>
+                <td style={styles.tableCell}>{formatTimestamp(mapping.updatedAt)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        !loading && <p style={{ color: '#6B778C' }}>No mappings loaded.</p>
+      )}
+      {nextCursor && (
+        <button onClick={() => loadMappings(nextCursor)} disabled={loading} style={{ ...styles.actionButton, marginTop: '12px' }}>
+          Load More
+        </button>
+      )}
+    </div>
+  );
+}
+
+// --- Dead-Letter List Component --- //
+function DeadLetterSection() {
+  const [deadLetters, setDeadLetters] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [editing, setEditing] = useState(null); // { id, text }
+  const [message, setMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadDeadLetters = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await invoke('getDeadLetters', { cursor });
+      setDeadLetters(prev => cursor ? [...prev, ...(result?.deadLetters || [])] : (result?.deadLetters || []));
+      setNextCursor(result?.nextCursor || null);
+    } catch (err) {
+      console.error('[DeadLetterSection] Failed to load dead letters:', err);
+      setError(err.message || 'Failed to load failed operations.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadDeadLetters();
+  }, [loadDeadLetters]);
+
+  const runAction = async (id, action) => {
+    setBusyId(id);
+    setError(null);
+    setMessage(null);
+    try {
+      await action();
+    } catch (err) {
+      console.error('[DeadLetterSection] Action failed:', err);
+      setError(err.message || 'Action failed.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleReplay = (entry) => runAction(entry.id, async () => {
+    const result = await invoke('replayDeadLetter', { id: entry.id });
+    if (result?.success) {
+      setMessage(`Replayed ${entry.operation} for ${entry.payload?.issueKey || 'unknown issue'} successfully.`);
+      setDeadLetters(prev => prev.filter(d => d.id !== entry.id));
+    } else {
+      setError(`Replay failed: ${result?.details?.message || result?.outputKey}`);
+      await loadDeadLetters();
+    }
+  });
+
+  const handleDiscard = (entry) => {
+    if (!window.confirm(`Discard this ${entry.operation} operation? It will not be sent to Jira.`)) return;
+    runAction(entry.id, async () => {
+      await invoke('discardDeadLetter', { id: entry.id });
+      setDeadLetters(prev => prev.filter(d => d.id !== entry.id));
+    });
+  };
+
+  const handleSaveEdit = () => runAction(editing.id, async () => {
+    let operationPayload;
+    try {
+      operationPayload = JSON.parse(editing.text);
+    } catch (e) {
+      throw new Error('Payload is not valid JSON.');
+    }
+    const result = await invoke('updateDeadLetter', { id: editing.id, operationPayload });
+    setDeadLetters(prev => prev.map(d => d.id === editing.id ? result.deadLetter : d));
+    setEditing(null);
+  });
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Failed Operations</h3>
+      <p style={{ marginTop: 0 }}>Operations that still failed after their automatic retries. Fix the payload if needed, then replay or discard them.</p>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {message && <p style={{ color: '#00875A' }}>{message}</p>}
+      {deadLetters.length > 0 ? (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.tableHeader}>Operation</th>
+              <th style={styles.tableHeader}>Issue</th>
+              <th style={styles.tableHeader}>Account ID</th>
+              <th style={styles.tableHeader}>Attempts</th>
+              <th style={styles.tableHeader}>Last Error</th>
+              <th style={styles.tableHeader}>Updated</th>
+              <th style={styles.tableHeader}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {deadLetters.map(entry => (
+              <React.Fragment key={entry.id}>
+                <tr>
+                  <td style={styles.tableCell}>{entry.operation}</td>
+                  <td style={styles.tableCell}>{entry.payload?.issueKey || '—'}</td>
+                  <td style={styles.tableCell}>{entry.payload?.userId || '—'}</td>
+                  <td style={styles.tableCell}>{entry.attempts}</td>
+                  <td style={styles.tableCell}>{entry.lastError}</td>
+                  <td style={styles.tableCell}>{formatTimestamp(entry.updatedAt)}</td>
+                  <td style={{ ...styles.tableCell, whiteSpace: 'nowrap' }}>
+                    <button onClick={() => setEditing({ id: entry.id, text: JSON.stringify(entry.payload, null, 2) })} disabled={busyId !== null} style={styles.actionButton}>Edit</button>{' '}
+                    <button onClick={() => handleReplay(entry)} disabled={busyId !== null} style={styles.actionButton}>
+                      {busyId === entry.id ? 'Working...' : 'Replay'}
+                    </button>{' '}
+                    <button onClick={() => handleDiscard(entry)} disabled={busyId !== null} style={styles.actionButton}>Discard</button>
+                  </td>
+                </tr>
+                {editing?.id === entry.id && (
+                  <tr>
+                    <td colSpan={7} style={styles.tableCell}>
+                      <textarea
+                        value={editing.text}
+                        onChange={e => setEditing({ ...editing, text: e.target.value })}
+                        rows={10}
+                        style={{ width: '100%', fontFamily: 'monospace' }}
+                      />
+                      <button onClick={handleSaveEdit} disabled={busyId !== null} style={styles.actionButton}>Save Payload</button>{' '}
+                      <button onClick={() => setEditing(null)} style={styles.actionButton}>Cancel</button>
+                    </td>
+                  </tr>
+                )}
+              </React.Fragment>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        !loading && <p style={{ color: '#6B778C' }}>No failed operations.</p>
+      )}
+      {loading && <p>Loading...</p>}
+      {nextCursor && (
+        <button onClick={() => loadDeadLetters(nextCursor)} disabled={loading} style={{ ...styles.actionButton, marginTop: '12px' }}>
+          Load More
+        </button>
+      )}
+    </div>
+  );
+}
+
+// --- Connected Users Component --- //
+const TOKEN_HEALTH_LABELS = { healthy: 'Healthy', expiring: 'Expiring', 'refresh-failed': 'Refresh failed', 'needs-reconnect': 'Needs reconnect', 'needs-consent': 'Needs re-consent' };
+const TOKEN_HEALTH_COLORS = { healthy: '#00875A', expiring: '#FF8B00', 'refresh-failed': '#DE350B', 'needs-reconnect': '#DE350B', 'needs-consent': '#DE350B' };
+
+function ConnectedUsersSection() {
+  const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadUsers = useCallback(async (cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await invoke('getConnectedUsers', { cursor });
+      setUsers(prev => cursor ? [...prev, ...(result?.users || [])] : (result?.users || []));
+      setNextCursor(result?.nextCursor || null);
+    } catch (err) {
+      console.error('[ConnectedUsersSection] Failed to load connected users:', err);
+      setError(err.message || 'Failed to load connected users.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadUsers();
+  }, [loadUsers]);
+
+  const handleDisconnect = async (user) => {
+    const name = user.displayName || user.accountId;
+    if (!window.confirm(`Disconnect ${name}? Webhooks sent for them will be rejected until they connect again.`)) return;
+    setBusyId(user.accountId);
+    setError(null);
+    try {
+      await invoke('disconnectConnectedUser', { accountId: user.accountId });
+      setUsers(prev => prev.filter(u => u.accountId !== user.accountId));
+    } catch (err) {
+      console.error('[ConnectedUsersSection] Failed to disconnect user:', err);
+      setError(err.message || 'Failed to disconnect user.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Connected Users</h3>
+      <p style={{ marginTop: 0 }}>Everyone who connected their Jira account. Users whose refresh failed or is about to lapse need to reconnect.</p>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {users.length > 0 ? (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.tableHeader}>User</th>
+              <th style={styles.tableHeader}>Site</th>
+              <th style={styles.tableHeader}>Scopes</th>
+              <th style={styles.tableHeader}>Last Refresh</th>
+              <th style={styles.tableHeader}>Last Worklog</th>
+              <th style={styles.tableHeader}>State</th>
+              <th style={styles.tableHeader}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {users.map(user => (
+              <tr key={user.accountId}>
+                <td style={styles.tableCell}>
+                  {user.displayName || 'Unknown user'}<br />
+                  <code style={{ fontSize: '11px' }}>{user.accountId}</code>
+                </td>
+                <td style={styles.tableCell}>
+                  {user.siteName || '—'}<br />
+                  <code style={{ fontSize: '11px' }}>{user.cloudId || 'No site'}</code>
+                </td>
+                <td style={styles.tableCell}>{user.scopes.join(', ') || '—'}</td>
+                <td style={styles.tableCell}>{user.lastRefreshedAt ? formatTimestamp(user.lastRefreshedAt) : '—'}</td>
+                <td style={styles.tableCell}>
+                  {user.lastWorklogAt ? `${formatTimestamp(user.lastWorklogAt)} (${user.lastWorklogAction})` : 'Never'}
+                </td>
+                <td style={{ ...styles.tableCell, color: TOKEN_HEALTH_COLORS[user.health] }} title={user.refreshError || ''}>
+                  {TOKEN_HEALTH_LABELS[user.health] || user.health}
+                  {user.missingScopes?.length > 0 && <div style={{ fontSize: '11px' }}>Missing: {user.missingScopes.join(', ')}</div>}
+                </td>
+                <td style={styles.tableCell}>
+                  <button onClick={() => handleDisconnect(user)} disabled={busyId !== null} style={styles.dangerButton}>
+                    {busyId === user.accountId ? 'Disconnecting...' : 'Disconnect'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        !loading && <p style={{ color: '#6B778C' }}>No connected users.</p>
+      )}
+      {loading && <p>Loading...</p>}
+      {nextCursor && (
+        <button onClick={() => loadUsers(nextCursor)} disabled={loading} style={{ ...styles.actionButton, marginTop: '12px' }}>
+          Load More
+        </button>
+      )}
+    </div>
+  );
+}
+
+function IntegrationManagersSection() {
+  const [grants, setGrants] = useState([]);
+  const [type, setType] = useState('group');
+  const [value, setValue] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadGrants = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await invoke('getManagerGrants');
+      setGrants(result?.grants || []);
+    } catch (err) {
+      console.error('[IntegrationManagersSection] Failed to load grants:', err);
+      setError(err.message || 'Failed to load integration managers.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGrants();
+  }, [loadGrants]);
+
+  const handleAdd = async () => {
+    setBusyId('new');
+    setError(null);
+    try {
+      const result = await invoke('addManagerGrant', { type, value });
+      setGrants(result?.grants || []);
+      setValue('');
+    } catch (err) {
+      console.error('[IntegrationManagersSection] Failed to add grant:', err);
+      setError(err.message || 'Failed to grant integration manager.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRemove = async (grant) => {
+    if (!window.confirm(`Remove integration manager access for ${grant.name}?`)) return;
+    setBusyId(grant.id);
+    setError(null);
+    try {
+      const result = await invoke('removeManagerGrant', { id: grant.id });
+      setGrants(result?.grants || []);
+    } catch (err) {
+      console.error('[IntegrationManagersSection] Failed to remove grant:', err);
+      setError(err.message || 'Failed to remove integration manager.');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Integration Managers</h3>
+      <p style={{ marginTop: 0 }}>Jira groups and users who may manage the Zapier integration (secrets, webhook authentication, failed operations and mappings) without being Jira administrators.</p>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <select value={type} onChange={e => setType(e.target.value)} style={{ padding: '6px' }}>
+          <option value="group">Group</option>
+          <option value="account">Account</option>
+        </select>
+        <input
+          type="text"
+          placeholder={type === 'group' ? 'Group name' : 'Account ID'}
+          value={value}
+          onChange={e => setValue(e.target.value)}
+          style={{ padding: '6px', minWidth: '260px' }}
+        />
+        <button onClick={handleAdd} disabled={busyId !== null || !value.trim()} style={styles.actionButton}>
+          {busyId === 'new' ? 'Granting...' : 'Grant'}
+        </button>
+      </div>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {grants.length > 0 ? (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.tableHeader}>Type</th>
+              <th style={styles.tableHeader}>Name</th>
+              <th style={styles.tableHeader}>Granted</th>
+              <th style={styles.tableHeader}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {grants.map(grant => (
+              <tr key={grant.id}>
+                <td style={styles.tableCell}>{grant.type === 'group' ? 'Group' : 'Account'}</td>
+                <td style={styles.tableCell}>
+                  {grant.name}<br />
+                  <code style={{ fontSize: '11px' }}>{grant.principalId}</code>
+                </td>
+                <td style={styles.tableCell}>{formatTimestamp(grant.grantedAt)}</td>
+                <td style={styles.tableCell}>
+                  <button onClick={() => handleRemove(grant)} disabled={busyId !== null} style={styles.dangerButton}>
+                    {busyId === grant.id ? 'Removing...' : 'Remove'}
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        !loading && <p style={{ color: '#6B778C' }}>No integration managers. Only Jira administrators can manage the integration.</p>
+      )}
+      {loading && <p>Loading...</p>}
+    </div>
+  );
+}
+
+/**
+ * Turns a setting value into what its form field shows (lists as comma-separated text).
+ */
+function toFieldValue(definition, value) {
+  return Array.isArray(value) ? value.join(', ') : String(value ?? '');
+}
+
+const LIST_PLACEHOLDERS = {
+  projectKeys: 'e.g. OPS, DEV',
+  names: 'e.g. Bug, Story',
+  eventAliases: 'e.g. entry.created=create'
+};
+
+function SettingsSection() {
+  const [settings, setSettings] = useState(null);
+  const [form, setForm] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const applySettings = (loaded) => {
+    setSettings(loaded);
+    setForm(Object.fromEntries(loaded.schema.map(definition => [definition.name, toFieldValue(definition, loaded.values[definition.name])])));
+  };
+
+  const loadSettings = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      applySettings(await invoke('getAppSettings'));
+    } catch (err) {
+      console.error('[SettingsSection] Failed to load settings:', err);
+      setError(err.message || 'Failed to load settings.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSettings();
+  }, [loadSettings]);
+
+  const changedValues = settings
+    ? Object.fromEntries(settings.schema
+        .filter(definition => form[definition.name] !== toFieldValue(definition, settings.values[definition.name]))
+        .map(definition => [definition.name, form[definition.name]]))
+    : {};
+  const hasChanges = Object.keys(changedValues).length > 0;
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await invoke('updateAppSettings', { values: changedValues, revision: settings.revision });
+      applySettings(result.settings);
+      setNotice(result.changed.length > 0 ? `Saved ${result.changed.length} setting${result.changed.length === 1 ? '' : 's'}.` : 'Nothing changed.');
+    } catch (err) {
+      console.error('[SettingsSection] Failed to save settings:', err);
+      setError(err.message || 'Failed to save settings.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <div style={styles.sectionContainer}>
+        <h3 style={styles.sectionHeader}>Settings</h3>
+        {error && <p style={styles.inlineError}>{error}</p>}
+        {loading && <p>Loading...</p>}
+      </div>
+    );
+  }
+
+  const groups = [...new Set(settings.schema.map(definition => definition.group))];
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Settings</h3>
+      <p style={{ marginTop: 0 }}>
+        Changes apply within a minute, without redeploying.
+        {settings.updatedAt ? ` Last saved ${formatTimestamp(settings.updatedAt)} by ${settings.updatedBy} (revision ${settings.revision}).` : ' Using defaults; nothing has been saved yet.'}
+      </p>
+      {groups.map(group => (
+        <div key={group} style={{ marginBottom: '16px' }}>
+          <h4 style={{ margin: '0 0 8px 0' }}>{group}</h4>
+          {settings.schema.filter(definition => definition.group === group).map(definition => (
+            <div key={definition.name} style={{ marginBottom: '10px' }}>
+              <label style={{ display: 'block', fontWeight: 'bold', fontSize: '13px' }} htmlFor={`setting-${definition.name}`}>{definition.label}</label>
+              {definition.type === 'enum' ? (
+                <select
+                  id={`setting-${definition.name}`}
+                  value={form[definition.name]}
+                  onChange={e => setForm(prev => ({ ...prev, [definition.name]: e.target.value }))}
+                  style={{ padding: '6px' }}
+                >
+                  {definition.options.map(option => <option key={option} value={option}>{option}</option>)}
+                </select>
+              ) : (
+                <input
+                  id={`setting-${definition.name}`}
+                  type={definition.type === 'integer' ? 'number' : 'text'}
+                  min={definition.min}
+                  max={definition.max}
+                  value={form[definition.name]}
+                  onChange={e => setForm(prev => ({ ...prev, [definition.name]: e.target.value }))}
+                  placeholder={LIST_PLACEHOLDERS[definition.type]}
+                  style={{ padding: '6px', minWidth: LIST_PLACEHOLDERS[definition.type] ? '260px' : '100px' }}
+                />
+              )}
+              <div style={{ fontSize: '12px', color: '#6B778C' }}>
+                {definition.description} Default: {toFieldValue(definition, settings.defaults[definition.name]) || 'none'}.
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {notice && <p style={{ color: '#6B778C' }}>{notice}</p>}
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button onClick={handleSave} disabled={saving || !hasChanges} style={styles.actionButton}>
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+        <button onClick={loadSettings} disabled={loading || saving} style={styles.actionButton}>
+          Reload
+        </button>
+      </div>
+    </div>
+  );
+}
+
+const EMPTY_AUDIT_FILTERS = { action: 'all', actorAccountId: '', target: '', fromDate: '', toDate: '' };
+
+const AUDIT_ACTION_LABELS = {
+  'secret.rotate': 'Secret created',
+  'secret.revoke': 'Secret revoked',
+  'webhook-auth.change': 'Webhook authentication changed',
+  'dead-letter.update': 'Failed operation edited',
+  'dead-letter.replay': 'Failed operation replayed',
+  'dead-letter.discard': 'Failed operation discarded',
+  'user.disconnect': 'User disconnected',
+  'role.grant': 'Integration manager granted',
+  'role.revoke': 'Integration manager removed',
+  'settings.update': 'Settings changed',
+  'audit.export': 'Audit log exported'
+};
+
+/**
+ * Turns the audit filter form into the resolver payload (date inputs cover whole local days).
+ */
+function toAuditQuery(filters) {
+  return {
+    action: filters.action,
+    actorAccountId: filters.actorAccountId.trim() || undefined,
+    target: filters.target.trim() || undefined,
+    from: filters.fromDate ? new Date(`${filters.fromDate}T00:00:00`).toISOString() : undefined,
+    to: filters.toDate ? new Date(`${filters.toDate}T23:59:59.999`).toISOString() : undefined
+  };
+}
+
+function formatAuditValue(value) {
+  if (value === null || value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+function AuditLogSection() {
+  const [filters, setFilters] = useState(EMPTY_AUDIT_FILTERS); // What the form shows
+  const [appliedFilters, setAppliedFilters] = useState(EMPTY_AUDIT_FILTERS); // What the loaded entries were queried with
+  const [entries, setEntries] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [exporting, setExporting] = useState(false);
+  const [error, setError] = useState(null);
+  const [notice, setNotice] = useState(null);
+
+  const loadEntries = useCallback(async (queryFilters, cursor = null) => {
+    setLoading(true);
+    setError(null);
+    try {
+      const result = await invoke('getAuditLog', { ...toAuditQuery(queryFilters), cursor });
+      setEntries(prev => cursor ? [...prev, ...(result?.entries || [])] : (result?.entries || []));
+      setNextCursor(result?.nextCursor || null);
+    } catch (err) {
+      console.error('[AuditLogSection] Failed to load audit log:', err);
+      setError(err.message || 'Failed to load audit log.');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadEntries(EMPTY_AUDIT_FILTERS);
+  }, [loadEntries]);
+
+  const updateFilter = (name, value) => setFilters(prev => ({ ...prev, [name]: value }));
+
+  const handleExport = async () => {
+    setExporting(true);
+    setError(null);
+    setNotice(null);
+    try {
+      const result = await invoke('exportAuditLog', toAuditQuery(appliedFilters));
+      const url = URL.createObjectURL(new Blob([result.csv], { type: 'text/csv' }));
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `worklog-handler-audit-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+      setNotice(result.truncated
+        ? `Exported the newest ${result.count} entries. Narrow the date range to export the rest.`
+        : `Exported ${result.count} entries.`);
+    } catch (err) {
+      console.error('[AuditLogSection] Failed to export audit log:', err);
+      setError(err.message || 'Failed to export audit log.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  return (
+    <div style={styles.sectionContainer}>
+      <h3 style={styles.sectionHeader}>Audit Log</h3>
+      <p style={{ marginTop: 0 }}>Who changed secrets, webhook authentication, failed operations, connections, roles and settings. Secret values are never recorded.</p>
+      <div style={{ display: 'flex', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+        <select value={filters.action} onChange={e => updateFilter('action', e.target.value)} style={{ padding: '6px' }}>
+          <option value="all">All Actions</option>
+          <option value="secret">Secrets</option>
+          <option value="webhook-auth">Webhook Authentication</option>
+          <option value="dead-letter">Failed Operations</option>
+          <option value="user">Disconnects</option>
+          <option value="role">Roles</option>
+          <option value="settings">Settings</option>
+          <option value="audit">Exports</option>
+        </select>
+        <input type="text" placeholder="Actor account ID" value={filters.actorAccountId} onChange={e => updateFilter('actorAccountId', e.target.value)} style={{ padding: '6px' }} />
+        <input type="text" placeholder="Target" value={filters.target} onChange={e => updateFilter('target', e.target.value)} style={{ padding: '6px' }} />
+        <input type="date" value={filters.fromDate} onChange={e => updateFilter('fromDate', e.target.value)} style={{ padding: '6px' }} />
+        <input type="date" value={filters.toDate} onChange={e => updateFilter('toDate', e.target.value)} style={{ padding: '6px' }} />
+        <button onClick={() => { setAppliedFilters(filters); loadEntries(filters); }} disabled={loading} style={styles.actionButton}>
+          {loading ? 'Loading...' : 'Apply Filters'}
+        </button>
+        <button onClick={handleExport} disabled={exporting} style={styles.actionButton}>
+          {exporting ? 'Exporting...' : 'Export CSV'}
+        </button>
+      </div>
+      {error && <p style={styles.inlineError}>{error}</p>}
+      {notice && <p style={{ color: '#6B778C' }}>{notice}</p>}
+      {entries.length > 0 ? (
+        <table style={styles.table}>
+          <thead>
+            <tr>
+              <th style={styles.tableHeader}>Time</th>
+              <th style={styles.tableHeader}>Action</th>
+              <th style={styles.tableHeader}>Actor</th>
+              <th style={styles.tableHeader}>Target</th>
+              <th style={styles.tableHeader}>Before</th>
+              <th style={styles.tableHeader}>After</th>
+            </tr>
+          </thead>
+          <tbody>
+            {entries.map(entry => (
+              <tr key={entry.id}>
+                <td style={styles.tableCell}>{formatTimestamp(entry.timestamp)}</td>
+                <td style={styles.tableCell} title={entry.details ? JSON.stringify(entry.details) : ''}>
+                  {AUDIT_ACTION_LABELS[entry.action] || entry.action}
+                </td>
+                <td style={styles.tableCell}>
+                  <code style={{ fontSize: '11px' }}>{entry.actorAccountId}</code>
+                  {entry.actorRole && <div style={{ fontSize: '11px' }}>{entry.actorRole}</div>}
+                </td>
+                <td style={styles.tableCell}>{entry.target || '—'}</td>
+                <td style={styles.tableCell}><code style={{ fontSize: '11px' }}>{formatAuditValue(entry.before)}</code></td>
+                <td style={styles.tableCell}><code style={{ fontSize: '11px' }}>{formatAuditValue(entry.after)}</code></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        !loading && <p style={{ color: '#6B778C' }}>No audit entries found.</p>
+      )}
+      {nextCursor && (
+        <button onClick={() => loadEntries(appliedFilters, nextCursor)} disabled={loading} style={{ ...styles.actionButton, marginTop: '12px' }}>
+          Load More
+        </button>
+      )}
+    </div>
+  );
+}
+
+function UserView({ authStatus, onDisconnected }) {
   return (
     <div style={{ marginTop: '2rem' }}>
       <h2>📅 Your Worklogs</h2>
+      <ReconnectWarning authStatus={authStatus} />
       
       {authStatus.checking ? (
         <p>Checking authentication status...</p>
@@ -281,7 +1211,9 @@ function UserView({ authStatus }) {
           <div style={styles.successMessage}>
             ✅ Your Jira account is connected
           </div>
+          <JiraSiteStatus authStatus={authStatus} />
           <TokenInfo expiresAt={authStatus.expiresAt} timestamp={authStatus.timestamp} />
+          <DisconnectButton onDisconnected={onDisconnected} />
         </div>
       ) : (
         <div style={{ marginTop: '1rem' }}>
@@ -300,6 +1232,93 @@ function UserView({ authStatus }) {
   );
 }
 
+// --- Reconnect Warning Component --- //
+/**
+ * Shown when Atlassian rejected the stored refresh token, when the token lacks scopes the app
+ * now requires, or when worklogs are waiting for the user to reconnect (they are sent automatically afterwards).
+ */
+function ReconnectWarning({ authStatus }) {
+  const parked = authStatus.parkedOperations || 0;
+  const missingScopes = authStatus.missingScopes || [];
+  if (!authStatus.needsReconnect && parked === 0 && missingScopes.length === 0) return null;
+  return (
+    <div style={styles.errorMessage}>
+      {missingScopes.length > 0 && !authStatus.needsReconnect ? (
+        <p style={{ margin: '0 0 8px 0' }}>
+          ⚠️ Worklog Handler now needs more permissions than you granted. Reconnect and approve: <code>{missingScopes.join(', ')}</code>
+        </p>
+      ) : (
+        <p style={{ margin: '0 0 8px 0' }}>⚠️ Atlassian no longer accepts your saved login. Reconnect to keep your worklogs flowing.</p>
+      )}
+      {parked > 0 && (
+        <p style={{ margin: '0 0 8px 0' }}>
+          {parked} worklog change{parked === 1 ? ' is' : 's are'} waiting and will be sent to Jira once you reconnect.
+        </p>
+      )}
+      {/* The not-connected view already shows the connect button */}
+      {authStatus.authenticated && <OAuthButton />}
+    </div>
+  );
+}
+
+// --- Jira Site Component --- //
+/**
+ * Shows the Jira site worklogs are written to, or lets the user pick one
+ * when their account could access several sites at connect time.
+ */
+function JiraSiteStatus({ authStatus }) {
+  const [site, setSite] = useState({ siteName: authStatus.siteName, siteUrl: authStatus.siteUrl, pendingSites: authStatus.pendingSites });
+  const [selectedId, setSelectedId] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setSite({ siteName: authStatus.siteName, siteUrl: authStatus.siteUrl, pendingSites: authStatus.pendingSites });
+  }, [authStatus.siteName, authStatus.siteUrl, authStatus.pendingSites]);
+
+  const handleSelect = async () => {
+    setSaving(true);
+    setError(null);
+    try {
+      const result = await invoke('selectJiraSite', { cloudId: selectedId });
+      setSite({ siteName: result.siteName, siteUrl: result.siteUrl, pendingSites: null });
+    } catch (err) {
+      console.error('[JiraSiteStatus] Failed to select site:', err);
+      setError(err.message || 'Failed to select site.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (site.pendingSites?.length) {
+    return (
+      <div style={{ margin: '12px 0' }}>
+        <p style={styles.errorMessage}>⚠️ Your account can access several Jira sites. Choose the one to log work on:</p>
+        <select value={selectedId} onChange={e => setSelectedId(e.target.value)} style={{ padding: '6px', marginRight: '8px' }}>
+          <option value="">Select a site...</option>
+          {site.pendingSites.map(s => (
+            <option key={s.id} value={s.id}>{s.name} ({s.url})</option>
+          ))}
+        </select>
+        <button onClick={handleSelect} disabled={!selectedId || saving} style={styles.actionButton}>
+          {saving ? 'Saving...' : 'Use This Site'}
+        </button>
+        {error && <p style={styles.inlineError}>{error}</p>}
+      </div>
+    );
+  }
+
+  if (!site.siteName) {
+    return <p style={{ color: '#6B778C' }}>Connected site: unknown. Reconnect to record which Jira site is used.</p>;
+  }
+
+  return (
+    <p style={{ margin: '8px 0' }}>
+      <strong>Connected site:</strong> {site.siteName}{site.siteUrl ? ` (${site.siteUrl})` : ''}
+    </p>
+  );
+}
+
 // --- OAuth Button Component --- //
 function OAuthButton() {
   const [loading, setLoading] = useState(false);
@@ -345,6 +1364,40 @@ function OAuthButton() {
   );
 }
 
+// --- Disconnect Button Component --- //
+function DisconnectButton({ onDisconnected }) {
+  const [disconnecting, setDisconnecting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const handleDisconnect = async () => {
+    if (!window.confirm('Disconnect your Jira account? Webhooks sent for you will be rejected until you connect again.')) return;
+    setDisconnecting(true);
+    setError(null);
+    try {
+      const result = await invoke('disconnectJiraAccount');
+      console.log('[DisconnectButton] Disconnected:', result);
+      if (result && !result.revoked) {
+        window.alert('Your connection was removed from Worklog Handler. Atlassian did not confirm the token revocation; you can also remove the app under Connected apps in your Atlassian account settings.');
+      }
+      onDisconnected();
+    } catch (err) {
+      console.error('[DisconnectButton] Failed to disconnect:', err);
+      setError(err.message || 'Failed to disconnect.');
+    } finally {
+      setDisconnecting(false);
+    }
+  };
+
+  return (
+    <div style={{ marginTop: '12px' }}>
+      <button onClick={handleDisconnect} disabled={disconnecting} style={styles.dangerButton}>
+        {disconnecting ? 'Disconnecting...' : 'Disconnect Jira Account'}
+      </button>
+      {error && <p style={styles.inlineError}>{error}</p>}
+    </div>
+  );
+}
+
 const styles = {
   sectionContainer: {
     padding: '16px', 
@@ -372,6 +1425,16 @@ const styles = {
       opacity: 0.7
     }
   },
+  dangerButton: {
+    padding: '8px 16px',
+    backgroundColor: '#DE350B',
+    color: '#fff',
+    border: 'none',
+    borderRadius: '3px',
+    cursor: 'pointer',
+    fontSize: '14px',
+    fontWeight: '500'
+  },
   copyableInput: {
     flexGrow: 1,
     padding: '8px',
@@ -428,5 +1491,20 @@ const styles = {
   },
   tokenInfoText: {
     margin: '4px 0'
+  },
+  table: {
+    width: '100%',
+    borderCollapse: 'collapse',
+    backgroundColor: '#fff',
+    fontSize: '13px'
+  },
+  tableHeader: {
+    textAlign: 'left',
+    padding: '6px 8px',
+    borderBottom: '2px solid #DFE1E6'
+  },
+  tableCell: {
+    padding: '6px 8px',
+    borderBottom: '1px solid #EBECF0'
   }
 };
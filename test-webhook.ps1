@@ -25,7 +25,7 @@ $worklogPayload = @{
     timeSpentSeconds = 3600                # Example: 1 hour
     # Format date to UTC and then append the required +0000 timezone offset
     started          = ((Get-Date).ToUniversalTime().ToString("yyyy-MM-ddTHH:mm:ss.fff")) + "+0000" 
-    # comment        = "Removed for now, as handler doesn't process it yet" # Removed comment field
+    comment          = "Worked on **login flow**`n- fixed token refresh`n- see [PR](https://example.com/pr/1)" # Markdown is converted to ADF
 }
 
 # Convert the payload object to a JSON string